@@ -0,0 +1,178 @@
+/**
+ * Geofence lookup benchmark
+ *
+ * Simulates many dosen sending location updates at the same time and compares
+ * the previous lookup (SELECT * FROM geofences + linear scan per update) with
+ * the cached grid index used by checkGeofence.
+ *
+ * Usage: npm run bench:geofence -- [dosen=300] [updatesPerDosen=10] [campuses=20]
+ * Runs against a temporary SQLite database, the real database is not touched.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DB_FILE = path.join(os.tmpdir(), `mydosen-bench-${process.pid}.sqlite`);
+process.env.DB_PATH = DB_FILE;
+
+const { initializeDatabase, runTransaction, runQuery, getAll, generateUUID } = require('../config/db');
+const {
+  checkGeofence,
+  loadGeofences,
+  reloadGeofences,
+  isInsideGeofence,
+  parseGeofenceRow,
+  ZONE_TYPES
+} = require('../utils/geofence');
+
+const [DOSEN_COUNT = 300, UPDATES_PER_DOSEN = 10, CAMPUS_COUNT = 20] = process.argv.slice(2).map(Number);
+const BUILDINGS_PER_CAMPUS = 10;
+const ROOMS_PER_BUILDING = 5;
+
+/**
+ * Square polygon around a center
+ * @param {number} lat - Center latitude
+ * @param {number} long - Center longitude
+ * @param {number} half - Half of the side in degrees
+ * @returns {Object} GeoJSON Polygon
+ */
+const square = (lat, long, half) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [long - half, lat - half], [long + half, lat - half],
+    [long + half, lat + half], [long - half, lat + half],
+    [long - half, lat - half]
+  ]]
+});
+
+/**
+ * Insert campuses (circles) with polygon buildings and rooms across Sumatra
+ * @returns {Promise<Object[]>} Campus centers { lat, long }
+ */
+const seedGeofences = async () => {
+  const campuses = [];
+
+  await runTransaction(async () => {
+    await runQuery('DELETE FROM geofences');
+
+    for (let c = 0; c < CAMPUS_COUNT; c++) {
+      const campus = { id: generateUUID(), lat: -5 + (c % 5) * 1.5, long: 100 + Math.floor(c / 5) * 1.5 };
+      campuses.push(campus);
+      await runQuery(
+        'INSERT INTO geofences (id, name, latitude, longitude, radius_km) VALUES (?, ?, ?, ?, ?)',
+        [campus.id, `Campus ${c}`, campus.lat, campus.long, 2]
+      );
+
+      for (let b = 0; b < BUILDINGS_PER_CAMPUS; b++) {
+        const building = { id: generateUUID(), lat: campus.lat + (b - 5) * 0.002, long: campus.long };
+        await runQuery(
+          `INSERT INTO geofences (id, name, latitude, longitude, radius_km, shape, geometry, zone_type, parent_id)
+           VALUES (?, ?, ?, ?, NULL, 'polygon', ?, 'building', ?)`,
+          [building.id, `Campus ${c} Building ${b}`, building.lat, building.long,
+            JSON.stringify(square(building.lat, building.long, 0.0008)), campus.id]
+        );
+
+        for (let r = 0; r < ROOMS_PER_BUILDING; r++) {
+          const room = { lat: building.lat, long: building.long + (r - 2) * 0.0003 };
+          await runQuery(
+            `INSERT INTO geofences (id, name, latitude, longitude, radius_km, shape, geometry, zone_type, parent_id)
+             VALUES (?, ?, ?, ?, NULL, 'polygon', ?, 'room', ?)`,
+            [generateUUID(), `Campus ${c} Building ${b} Room ${r}`, room.lat, room.long,
+              JSON.stringify(square(room.lat, room.long, 0.0001)), building.id]
+          );
+        }
+      }
+    }
+  });
+
+  return campuses;
+};
+
+/**
+ * Previous lookup: read every fence and scan them all for each update
+ * @param {number} lat - Latitude
+ * @param {number} long - Longitude
+ * @returns {Promise<Object|null>} Most specific matching zone
+ */
+const linearCheck = async (lat, long) => {
+  const geofences = (await getAll('SELECT * FROM geofences')).map(parseGeofenceRow);
+
+  let match = null;
+  for (const geofence of geofences) {
+    if (isInsideGeofence(geofence, lat, long) &&
+        (!match || ZONE_TYPES.indexOf(geofence.zone_type) > ZONE_TYPES.indexOf(match.zone_type))) {
+      match = geofence;
+    }
+  }
+  return match;
+};
+
+/**
+ * Run every dosen's updates concurrently, each dosen sending its updates one after another
+ * @param {string} label - Result label
+ * @param {Object[]} positions - Per dosen, an array of { lat, long }
+ * @param {Function} check - async (lat, long) => result
+ */
+const run = async (label, positions, check) => {
+  const latencies = [];
+  const started = process.hrtime.bigint();
+
+  await Promise.all(positions.map(async (updates) => {
+    for (const { lat, long } of updates) {
+      const before = process.hrtime.bigint();
+      await check(lat, long);
+      latencies.push(Number(process.hrtime.bigint() - before) / 1e6);
+    }
+  }));
+
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e9;
+  latencies.sort((a, b) => a - b);
+  const p95 = latencies[Math.floor(latencies.length * 0.95)];
+
+  console.log(
+    `${label.padEnd(28)} ${String(Math.round(latencies.length / elapsed)).padStart(9)} updates/s` +
+    `   p95 ${p95.toFixed(2).padStart(8)} ms   total ${elapsed.toFixed(2)} s`
+  );
+};
+
+const main = async () => {
+  await initializeDatabase();
+  const campuses = await seedGeofences();
+  reloadGeofences();
+
+  const { geofences } = await loadGeofences();
+  const updateCount = DOSEN_COUNT * UPDATES_PER_DOSEN;
+  console.log(`\n${geofences.length} geofences, ${DOSEN_COUNT} dosen x ${UPDATES_PER_DOSEN} updates = ${updateCount} updates\n`);
+
+  // Dosen walk around a campus, some of them off campus
+  const positions = Array.from({ length: DOSEN_COUNT }, (_, d) => {
+    const campus = campuses[d % campuses.length];
+    return Array.from({ length: UPDATES_PER_DOSEN }, () => ({
+      lat: campus.lat + (Math.random() - 0.5) * 0.04,
+      long: campus.long + (Math.random() - 0.5) * 0.04
+    }));
+  });
+
+  // Both lookups must agree before timing them
+  for (const { lat, long } of positions.flat().slice(0, 500)) {
+    const expected = await linearCheck(lat, long);
+    const result = await checkGeofence(lat, long);
+    const name = result.isInside ? result.zonePath[result.zonePath.length - 1].name : null;
+    if ((expected ? expected.name : null) !== name) {
+      throw new Error(`Lookup mismatch at ${lat},${long}: ${expected && expected.name} vs ${name}`);
+    }
+  }
+
+  await run('query + linear scan', positions, linearCheck);
+  await run('cached grid index', positions, checkGeofence);
+};
+
+main()
+  .catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(DB_FILE, { force: true });
+    process.exit();
+  });
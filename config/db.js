@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const { v4: uuidv4 } = require('uuid');
 
 // Database path from environment or default
@@ -19,32 +20,110 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
+// Tracks whether the current async call chain runs inside runTransaction
+const transactionContext = new AsyncLocalStorage();
+
+// Settles when the open transaction ends (null while none is open)
+let activeTransaction = null;
+
+// Queries started outside a transaction that have not finished yet
+const pendingQueries = new Set();
+
+/**
+ * Run a statement on the shared connection. While a transaction is open, statements
+ * from outside it wait until it has ended, so they never join (or get rolled back
+ * with) someone else's transaction.
+ * @param {Function} execute - () => Promise, runs the statement
+ * @returns {Promise<*>} Result of execute
+ */
+const schedule = async (execute) => {
+  if (transactionContext.getStore()) {
+    return execute();
+  }
+
+  while (activeTransaction) {
+    await activeTransaction;
+  }
+
+  const query = execute();
+  const settled = query.catch(() => {});
+  pendingQueries.add(settled);
+  settled.then(() => pendingQueries.delete(settled));
+  return query;
+};
+
 // Helper to run queries with promises
 const runQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
+  return schedule(() => new Promise((resolve, reject) => {
     db.run(sql, params, function (err) {
       if (err) reject(err);
       else resolve({ lastID: this.lastID, changes: this.changes });
     });
-  });
+  }));
 };
 
 const getOne = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
+  return schedule(() => new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) reject(err);
       else resolve(row);
     });
-  });
+  }));
 };
 
 const getAll = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
+  return schedule(() => new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
-  });
+  }));
+};
+
+// Queue so transactions on the shared connection never overlap
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run several queries atomically (BEGIN ... COMMIT, ROLLBACK on error)
+ * Only queries made from within work are part of the transaction; all other queries
+ * wait until it has ended. Must not be nested: calling runTransaction from inside
+ * work rejects instead of deadlocking on the queue.
+ * @param {Function} work - async () => result, runs the queries
+ * @returns {Promise<*>} Result of work
+ */
+const runTransaction = (work) => {
+  if (transactionContext.getStore()) {
+    return Promise.reject(new Error('runTransaction must not be nested'));
+  }
+
+  const run = async () => {
+    let endTransaction;
+    activeTransaction = new Promise(resolve => { endTransaction = resolve; });
+
+    try {
+      // Let queries that started before the transaction finish outside of it
+      await Promise.all(pendingQueries);
+
+      return await transactionContext.run(true, async () => {
+        await runQuery('BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const result = await work();
+          await runQuery('COMMIT');
+          return result;
+        } catch (error) {
+          await runQuery('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      });
+    } finally {
+      activeTransaction = null;
+      endTransaction();
+    }
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
 };
 
 // Generate UUID
@@ -52,6 +131,34 @@ const generateUUID = () => {
   return uuidv4();
 };
 
+// Schema of tracking_permissions, shared by the initial CREATE and the status migration.
+// Status: pending -> approved/rejected by the dosen; an approval can be revoked or
+// suspended until suspended_until by the dosen, withdrawn by the mahasiswa, and ends
+// as expired at expires_at (null = never). renewal_requested_at is set while the
+// mahasiswa asks for a time-limited approval to be extended.
+// request_message is the mahasiswa's note with the (latest) request; status_reason
+// holds the optional reason given with the last change. updated_at is when the status
+// last changed; the re-request cooldown after a rejection counts from it.
+const trackingPermissionsTableSql = (table) => `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    id TEXT PRIMARY KEY,
+    student_id TEXT NOT NULL,
+    lecturer_id TEXT NOT NULL,
+    status TEXT CHECK(status IN ('pending', 'approved', 'rejected', 'revoked', 'suspended', 'withdrawn', 'expired'))
+      DEFAULT 'pending',
+    request_message TEXT,
+    status_reason TEXT,
+    suspended_until TIMESTAMP,
+    expires_at TIMESTAMP,
+    renewal_requested_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES mahasiswa(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (lecturer_id) REFERENCES dosen(user_id) ON DELETE CASCADE,
+    UNIQUE(student_id, lecturer_id)
+  )
+`;
+
 // Initialize database schema
 const initializeDatabase = async () => {
   return new Promise((resolve, reject) => {
@@ -64,6 +171,14 @@ const initializeDatabase = async () => {
             name TEXT NOT NULL,
             email TEXT UNIQUE NOT NULL,
             password_hash TEXT NOT NULL,
+            must_change_password INTEGER DEFAULT 0,
+            password_changed_at TIMESTAMP,
+            failed_login_count INTEGER DEFAULT 0,
+            locked_until TIMESTAMP,
+            totp_secret TEXT,
+            totp_enabled INTEGER DEFAULT 0,
+            totp_last_step INTEGER,
+            token_version INTEGER DEFAULT 0,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
           )
         `);
@@ -79,10 +194,12 @@ const initializeDatabase = async () => {
         `);
 
         // Create dosen profile table
+        // privacy_level: what students see on campus ('exact', 'zone' or 'campus')
         db.run(`
           CREATE TABLE IF NOT EXISTS dosen (
             user_id TEXT PRIMARY KEY,
             nidn TEXT UNIQUE NOT NULL,
+            privacy_level TEXT DEFAULT 'exact',
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
           )
@@ -99,18 +216,7 @@ const initializeDatabase = async () => {
         `);
 
         // Create tracking_permissions table with UUID
-        db.run(`
-          CREATE TABLE IF NOT EXISTS tracking_permissions (
-            id TEXT PRIMARY KEY,
-            student_id TEXT NOT NULL,
-            lecturer_id TEXT NOT NULL,
-            status TEXT CHECK(status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (student_id) REFERENCES mahasiswa(user_id) ON DELETE CASCADE,
-            FOREIGN KEY (lecturer_id) REFERENCES dosen(user_id) ON DELETE CASCADE,
-            UNIQUE(student_id, lecturer_id)
-          )
-        `);
+        db.run(trackingPermissionsTableSql('tracking_permissions'));
 
         // Create locations table
         db.run(`
@@ -119,19 +225,141 @@ const initializeDatabase = async () => {
             latitude REAL,
             longitude REAL,
             position_name TEXT,
+            zone_path TEXT,
+            zone_id TEXT,
             last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
           )
         `);
 
         // Create geofences table with UUID
+        // Circles use latitude/longitude/radius_km; polygons store a GeoJSON
+        // Polygon/MultiPolygon in geometry and their bounding box center in latitude/longitude.
+        // Zones nest campus -> building -> room through parent_id; privacy_level
+        // optionally limits what is shown of dosen inside the zone and schedule
+        // (JSON weekday time windows, null = always) limits when it is shown
         db.run(`
           CREATE TABLE IF NOT EXISTS geofences (
             id TEXT PRIMARY KEY,
             name TEXT NOT NULL,
             latitude REAL NOT NULL,
             longitude REAL NOT NULL,
-            radius_km REAL DEFAULT 1.0
+            radius_km REAL DEFAULT 1.0,
+            shape TEXT DEFAULT 'circle',
+            geometry TEXT,
+            zone_type TEXT DEFAULT 'campus',
+            parent_id TEXT,
+            privacy_level TEXT,
+            schedule TEXT
+          )
+        `);
+
+        // Create sessions table - one row per login, holds the hashed rotating refresh token
+        db.run(`
+          CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            refresh_token_hash TEXT UNIQUE NOT NULL,
+            previous_token_hash TEXT,
+            user_agent TEXT,
+            ip_address TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `);
+
+        // Create password reset tokens table - one-time, expiring, stored hashed
+        db.run(`
+          CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            requested_ip TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `);
+
+        // Create audit logs table - security events (lockouts, unlocks, ...)
+        // No foreign key on user_id so events outlive deleted users
+        db.run(`
+          CREATE TABLE IF NOT EXISTS audit_logs (
+            id TEXT PRIMARY KEY,
+            event_type TEXT NOT NULL,
+            user_id TEXT,
+            actor_id TEXT,
+            ip_address TEXT,
+            details TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Create two-factor recovery codes table - one-time codes, stored hashed
+        db.run(`
+          CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            code_hash TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            used_at TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `);
+
+        // Create settings table - admin-configurable key/value settings (JSON values)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Create private zones table - places (e.g. a dosen's home) where that dosen's
+        // location is always masked, optionally reported with a label. Same shape columns as geofences
+        db.run(`
+          CREATE TABLE IF NOT EXISTS private_zones (
+            id TEXT PRIMARY KEY,
+            dosen_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            label TEXT,
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            radius_km REAL,
+            shape TEXT DEFAULT 'circle',
+            geometry TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (dosen_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `);
+
+        // Create holidays table - academic calendar days on which scheduled geofences are inactive
+        db.run(`
+          CREATE TABLE IF NOT EXISTS holidays (
+            id TEXT PRIMARY KEY,
+            date TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Create tracking permission history table - every change of a permission, oldest first
+        // actor_id is the user who made the change (null when applied by the server, e.g. expiry)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS tracking_permission_history (
+            id TEXT PRIMARY KEY,
+            permission_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            status TEXT NOT NULL,
+            reason TEXT,
+            actor_id TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (permission_id) REFERENCES tracking_permissions(id) ON DELETE CASCADE
           )
         `);
 
@@ -143,6 +371,7 @@ const initializeDatabase = async () => {
             dosen_id TEXT NOT NULL,
             day_of_week INTEGER NOT NULL,
             location_name TEXT NOT NULL,
+            zone_path TEXT,
             latitude REAL NOT NULL,
             longitude REAL NOT NULL,
             logged_date TEXT NOT NULL,
@@ -155,7 +384,13 @@ const initializeDatabase = async () => {
             return;
           }
           
-          // Seed data after tables are created
+          // Migrate existing databases, then seed data after tables are created
+          try {
+            await migrateDatabase();
+          } catch (migrationError) {
+            reject(migrationError);
+            return;
+          }
           await seedDatabase();
           resolve();
         });
@@ -167,6 +402,80 @@ const initializeDatabase = async () => {
   });
 };
 
+/**
+ * Add a column to an existing table if it is missing
+ * (CREATE TABLE IF NOT EXISTS does not update tables from older versions)
+ */
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await getAll(`PRAGMA table_info(${table})`);
+  
+  if (!columns.some(col => col.name === column)) {
+    await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+};
+
+/**
+ * Rebuild tracking_permissions when its status CHECK predates the current statuses
+ * SQLite cannot alter a CHECK constraint, so the rows are copied into a new table.
+ */
+const migrateTrackingPermissionStatuses = async () => {
+  const table = await getOne(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tracking_permissions'"
+  );
+  
+  if (!table || table.sql.includes("'expired'")) {
+    return;
+  }
+  
+  // Copy every column the old table already has
+  const columns = (await getAll('PRAGMA table_info(tracking_permissions)')).map(col => col.name).join(', ');
+  
+  // Foreign keys cannot be switched inside a transaction
+  await runQuery('PRAGMA foreign_keys = OFF');
+  try {
+    await runTransaction(async () => {
+      await runQuery(trackingPermissionsTableSql('tracking_permissions_new'));
+      await runQuery(
+        `INSERT INTO tracking_permissions_new (${columns})
+         SELECT ${columns} FROM tracking_permissions`
+      );
+      await runQuery('DROP TABLE tracking_permissions');
+      await runQuery('ALTER TABLE tracking_permissions_new RENAME TO tracking_permissions');
+    });
+  } finally {
+    await runQuery('PRAGMA foreign_keys = ON');
+  }
+  
+  console.log('Rebuilt tracking_permissions with the current status values');
+};
+
+// Apply schema changes to databases created by older versions
+const migrateDatabase = async () => {
+  await addColumnIfMissing('users', 'must_change_password', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('users', 'password_changed_at', 'TIMESTAMP');
+  await addColumnIfMissing('users', 'failed_login_count', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('users', 'locked_until', 'TIMESTAMP');
+  await addColumnIfMissing('users', 'totp_secret', 'TEXT');
+  await addColumnIfMissing('users', 'totp_enabled', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+  await addColumnIfMissing('users', 'token_version', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('geofences', 'shape', "TEXT DEFAULT 'circle'");
+  await addColumnIfMissing('geofences', 'geometry', 'TEXT');
+  await addColumnIfMissing('geofences', 'zone_type', "TEXT DEFAULT 'campus'");
+  await addColumnIfMissing('geofences', 'parent_id', 'TEXT');
+  await addColumnIfMissing('locations', 'zone_path', 'TEXT');
+  await addColumnIfMissing('location_history', 'zone_path', 'TEXT');
+  await addColumnIfMissing('geofences', 'privacy_level', 'TEXT');
+  await addColumnIfMissing('dosen', 'privacy_level', "TEXT DEFAULT 'exact'");
+  await addColumnIfMissing('locations', 'zone_id', 'TEXT');
+  await addColumnIfMissing('geofences', 'schedule', 'TEXT');
+  await addColumnIfMissing('tracking_permissions', 'expires_at', 'TIMESTAMP');
+  await addColumnIfMissing('tracking_permissions', 'renewal_requested_at', 'TIMESTAMP');
+  await addColumnIfMissing('tracking_permissions', 'request_message', 'TEXT');
+  await migrateTrackingPermissionStatuses();
+};
+
 // Seed initial data
 const seedDatabase = async () => {
   try {
@@ -259,6 +568,7 @@ module.exports = {
   runQuery,
   getOne,
   getAll,
+  runTransaction,
   initializeDatabase,
   generateUUID
 };
@@ -0,0 +1,8 @@
+// JWT signing settings, shared by the auth middleware and session helpers
+const JWT_SECRET = process.env.JWT_SECRET || 'mydosen_secret_key_fallback';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+module.exports = {
+  JWT_SECRET,
+  JWT_EXPIRES_IN
+};
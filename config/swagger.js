@@ -51,7 +51,13 @@ const options = {
           type: 'object',
           properties: {
             message: { type: 'string', example: 'Login successful' },
-            token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+            token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...', description: 'Short-lived access token' },
+            refresh_token: { type: 'string', example: 'k3Jx...', description: 'Rotating refresh token for /auth/refresh' },
+            expires_in: { type: 'string', example: '15m', description: 'Access token lifetime' },
+            must_change_password: { type: 'boolean', example: false, description: 'When true, only /auth/password, /auth/profile and /auth/logout are allowed until the password is changed' },
+            two_factor_setup_required: { type: 'boolean', example: false, description: 'When true, 2FA is mandatory for the role and only the /auth/2fa enrollment routes are allowed until it is enabled' },
+            two_factor_required: { type: 'boolean', example: false, description: 'Only in first-step responses for 2FA accounts (no tokens issued)' },
+            two_factor_token: { type: 'string', description: 'Only with two_factor_required - send to /auth/2fa/verify' },
             user: {
               type: 'object',
               properties: {
@@ -62,6 +68,73 @@ const options = {
             }
           }
         },
+        RefreshRequest: {
+          type: 'object',
+          required: ['refresh_token'],
+          properties: {
+            refresh_token: { type: 'string', example: 'k3Jx...' }
+          }
+        },
+        RefreshResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Token refreshed' },
+            token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+            refresh_token: { type: 'string', example: 'Zt9q...' },
+            expires_in: { type: 'string', example: '15m' }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440020' },
+            user_agent: { type: 'string', nullable: true, example: 'okhttp/4.12.0' },
+            ip_address: { type: 'string', nullable: true, example: '10.0.0.12' },
+            created_at: { type: 'string', format: 'date-time' },
+            last_seen_at: { type: 'string', format: 'date-time' },
+            expires_at: { type: 'string', format: 'date-time' },
+            connected_sockets: { type: 'integer', example: 1 },
+            is_current: { type: 'boolean', example: true, description: 'Session of the token used for this request' }
+          }
+        },
+        TwoFactorVerifyRequest: {
+          type: 'object',
+          required: ['two_factor_token'],
+          properties: {
+            two_factor_token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+            code: { type: 'string', example: '123456', description: 'TOTP code from the authenticator app' },
+            recovery_code: { type: 'string', example: 'a1b2c-3d4e5', description: 'One-time recovery code (instead of code)' }
+          }
+        },
+        TwoFactorCodeRequest: {
+          type: 'object',
+          required: ['code'],
+          properties: {
+            code: { type: 'string', example: '123456' }
+          }
+        },
+        RecoveryCodesResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            recovery_codes: { type: 'array', items: { type: 'string' }, example: ['a1b2c-3d4e5', 'f6a7b-8c9d0'] }
+          }
+        },
+        TwoFactorPolicy: {
+          type: 'object',
+          required: ['required_roles'],
+          properties: {
+            required_roles: { type: 'array', items: { type: 'string', enum: ['admin', 'dosen', 'mahasiswa'] }, example: ['admin'] }
+          }
+        },
+        ChangePasswordRequest: {
+          type: 'object',
+          required: ['old_password', 'new_password'],
+          properties: {
+            old_password: { type: 'string', example: 'admin123' },
+            new_password: { type: 'string', example: 'N3wPassword', description: 'At least 8 characters with a letter and a number' }
+          }
+        },
         CreateUserRequest: {
           type: 'object',
           required: ['name', 'email', 'password', 'role'],
@@ -75,21 +148,331 @@ const options = {
             nip: { type: 'string', description: 'Required for admin', example: '199001012020011002' }
           }
         },
+        GeoJSONPolygon: {
+          type: 'object',
+          description: 'GeoJSON Polygon or MultiPolygon; positions are [longitude, latitude], the first ring is the boundary and further rings are holes. Rings are closed automatically.',
+          properties: {
+            type: { type: 'string', enum: ['Polygon', 'MultiPolygon'], example: 'Polygon' },
+            coordinates: {
+              type: 'array',
+              items: { type: 'array' },
+              example: [[[104.6455, -3.2230], [104.6570, -3.2230], [104.6570, -3.2160], [104.6455, -3.2160], [104.6455, -3.2230]]]
+            }
+          }
+        },
+        Geofence: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'UNSRI Indralaya' },
+            shape: { type: 'string', enum: ['circle', 'polygon'], example: 'circle' },
+            latitude: { type: 'number', description: 'Circle center, or bounding box center of a polygon', example: -3.219741 },
+            longitude: { type: 'number', example: 104.65122 },
+            radius_km: { type: 'number', nullable: true, description: 'null for polygons', example: 2.5 },
+            geometry: { allOf: [{ $ref: '#/components/schemas/GeoJSONPolygon' }], nullable: true, description: 'null for circles' },
+            zone_type: { type: 'string', enum: ['campus', 'building', 'room'], example: 'campus' },
+            parent_id: { type: 'string', format: 'uuid', nullable: true, description: 'Enclosing zone (campus of a building, building of a room)' },
+            privacy_level: { type: 'string', enum: ['exact', 'zone', 'campus'], nullable: true, description: 'Strictest detail shown of dosen inside this zone; null leaves it to the dosen' },
+            schedule: {
+              type: 'array',
+              nullable: true,
+              description: 'Active hours; outside them (and on holidays) dosen inside the zone are shown in its closest active parent zone, or masked. null = always active',
+              items: { $ref: '#/components/schemas/ScheduleWindow' }
+            }
+          }
+        },
+        ScheduleWindow: {
+          type: 'object',
+          description: 'Weekly time window in GEOFENCE_TIMEZONE; windows cannot cross midnight',
+          required: ['days', 'start', 'end'],
+          properties: {
+            days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, description: '0 = Sunday', example: [1, 2, 3, 4, 5] },
+            start: { type: 'string', pattern: '^\\d{2}:\\d{2}$', example: '07:00' },
+            end: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: '24:00 for end of day', example: '17:00' }
+          }
+        },
+        Holiday: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            date: { type: 'string', format: 'date', example: '2026-12-25' },
+            name: { type: 'string', example: 'Hari Raya Natal' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        GeoJSONFeatureCollection: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['FeatureCollection'] },
+            features: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['Feature'] },
+                  geometry: { type: 'object', description: 'Point, Polygon or MultiPolygon' },
+                  properties: { type: 'object', example: { name: 'Gedung Fasilkom', parent: 'UNSRI Indralaya' } }
+                }
+              }
+            }
+          }
+        },
+        GeofenceImportReport: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Geofences imported successfully' },
+            error: { type: 'string', description: 'Present when the import was rejected' },
+            dry_run: { type: 'boolean' },
+            created: { type: 'integer', example: 3 },
+            updated: { type: 'integer', example: 1 },
+            total_features: { type: 'integer', example: 4 },
+            valid_features: { type: 'integer', example: 4 },
+            invalid_features: { type: 'integer', example: 0 },
+            features: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  feature: { type: 'integer', description: 'Index in the FeatureCollection', example: 0 },
+                  id: { type: 'string', format: 'uuid' },
+                  name: { type: 'string', example: 'Gedung Fasilkom' },
+                  action: { type: 'string', enum: ['create', 'update'] },
+                  valid: { type: 'boolean' },
+                  errors: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        },
+        ZonePathItem: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Gedung Fasilkom' },
+            type: { type: 'string', enum: ['campus', 'building', 'room'], example: 'building' }
+          }
+        },
+        GeofenceRequest: {
+          type: 'object',
+          description: 'Either latitude/longitude/radius_km (circle) or geometry (polygon)',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', example: 'UNSRI Bukit Besar' },
+            latitude: { type: 'number', minimum: -90, maximum: 90, example: -2.9845 },
+            longitude: { type: 'number', minimum: -180, maximum: 180, example: 104.7318 },
+            radius_km: { type: 'number', exclusiveMinimum: 0, maximum: 50, example: 0.8 },
+            geometry: { $ref: '#/components/schemas/GeoJSONPolygon' },
+            parent_id: { type: 'string', format: 'uuid', nullable: true, description: 'Enclosing zone; a campus has none' },
+            zone_type: { type: 'string', enum: ['campus', 'building', 'room'], description: 'Defaults to one level below the parent' },
+            privacy_level: { type: 'string', enum: ['exact', 'zone', 'campus'], nullable: true, description: 'Strictest detail shown of dosen inside this zone' },
+            schedule: {
+              type: 'array',
+              nullable: true,
+              description: 'Active hours (null = always active)',
+              items: { $ref: '#/components/schemas/ScheduleWindow' }
+            }
+          }
+        },
+        PrivateZone: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            dosen_id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Rumah' },
+            label: { type: 'string', nullable: true, example: 'Sedang istirahat', description: 'Reported name inside the zone; null uses the masked location name' },
+            shape: { type: 'string', enum: ['circle', 'polygon'] },
+            latitude: { type: 'number', example: -3.2251 },
+            longitude: { type: 'number', example: 104.6588 },
+            radius_km: { type: 'number', nullable: true, example: 0.1 },
+            geometry: { allOf: [{ $ref: '#/components/schemas/GeoJSONPolygon' }], nullable: true }
+          }
+        },
+        PrivateZoneRequest: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Rumah' },
+            label: { type: 'string', nullable: true, maxLength: 100, example: 'Sedang istirahat' },
+            latitude: { type: 'number', minimum: -90, maximum: 90, example: -3.2251 },
+            longitude: { type: 'number', minimum: -180, maximum: 180, example: 104.6588 },
+            radius_km: { type: 'number', exclusiveMinimum: 0, maximum: 50, example: 0.1 },
+            geometry: { $ref: '#/components/schemas/GeoJSONPolygon' }
+          }
+        },
+        MaskedLocation: {
+          type: 'object',
+          required: ['latitude', 'longitude', 'location_name'],
+          properties: {
+            latitude: { type: 'number', example: -6.2088 },
+            longitude: { type: 'number', example: 106.8456 },
+            location_name: { type: 'string', example: 'Di Luar' }
+          }
+        },
+        PrivacySettings: {
+          type: 'object',
+          properties: {
+            privacy_level: { type: 'string', enum: ['exact', 'zone', 'campus'], example: 'zone' },
+            available_levels: { type: 'array', items: { type: 'string' }, example: ['exact', 'zone', 'campus'] }
+          }
+        },
+        PageEnvelope: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: { type: 'object' } },
+            total: { type: 'integer', description: 'Matching rows across all pages', example: 240 },
+            next_cursor: { type: 'string', nullable: true, description: 'Pass as cursor to get the next page; null on the last page', example: 'WyIyMDI2LTEwLTE5IDA4OjAwOjAwIiwiNTUwZTg0MDAiXQ' }
+          }
+        },
+        ImportUsersRequest: {
+          type: 'object',
+          required: ['csv'],
+          properties: {
+            csv: { type: 'string', example: 'name,email,role,nim\nSiti Aminah,siti@student.unsri.ac.id,mahasiswa,09021182126010' },
+            dry_run: { type: 'boolean', example: true }
+          }
+        },
+        ImportUsersReport: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Dry run completed, nothing was imported' },
+            error: { type: 'string', description: 'Present when the import was rejected' },
+            dry_run: { type: 'boolean', example: true },
+            total_rows: { type: 'integer', example: 2 },
+            valid_rows: { type: 'integer', example: 1 },
+            invalid_rows: { type: 'integer', example: 1 },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', description: 'Line number in the CSV', example: 3 },
+                  name: { type: 'string', example: 'Dr. Rudi Hartono' },
+                  email: { type: 'string', example: 'rudi@unsri.ac.id' },
+                  role: { type: 'string', example: 'dosen' },
+                  identifier: { type: 'string', description: 'NIM/NIDN/NIP for the role', example: '0001018501' },
+                  valid: { type: 'boolean', example: false },
+                  errors: { type: 'array', items: { type: 'string' }, example: ['NIDN already registered'] }
+                }
+              }
+            }
+          }
+        },
+        ImportUsersResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: '2 users imported successfully. They must change their password at first login' },
+            imported: { type: 'integer', example: 2 },
+            users: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', example: 2 },
+                  id: { type: 'string', format: 'uuid' },
+                  name: { type: 'string', example: 'Siti Aminah' },
+                  email: { type: 'string', example: 'siti@student.unsri.ac.id' },
+                  role: { type: 'string', example: 'mahasiswa' },
+                  temporary_password: { type: 'string', example: 'q3Jx9LmP2aZka7' }
+                }
+              }
+            }
+          }
+        },
+        UpdateUserRequest: {
+          type: 'object',
+          description: 'Only the fields present are changed',
+          properties: {
+            name: { type: 'string', example: 'Dr. Jane Smith, M.Kom' },
+            email: { type: 'string', format: 'email', example: 'jane.smith@unsri.ac.id' },
+            role: { type: 'string', enum: ['dosen', 'mahasiswa', 'admin'], example: 'admin' },
+            nim: { type: 'string', description: 'Only for mahasiswa; required when changing role to mahasiswa', example: '09021182126002' },
+            nidn: { type: 'string', description: 'Only for dosen; required when changing role to dosen', example: '0001018502' },
+            nip: { type: 'string', description: 'Only for admin; required when changing role to admin', example: '199001012020011002' }
+          }
+        },
+        UpdateUserResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'User updated successfully' },
+            user: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                name: { type: 'string', example: 'Dr. Jane Smith, M.Kom' },
+                email: { type: 'string', example: 'jane.smith@unsri.ac.id' },
+                role: { type: 'string', example: 'admin' },
+                nip: { type: 'string', description: 'nim/nidn/nip depending on role', example: '199001012020011002' }
+              }
+            },
+            role_changed: { type: 'boolean', example: true },
+            removed_permissions: { type: 'integer', description: 'Tracking permissions of the old role that were removed', example: 3 },
+            removed_location_history: { type: 'integer', description: 'Location history removed when a dosen changes role', example: 120 },
+            disconnected_sockets: { type: 'integer', example: 1 }
+          }
+        },
         TrackingPermission: {
           type: 'object',
           properties: {
             id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440001' },
             student_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440002' },
             lecturer_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
-            status: { type: 'string', enum: ['pending', 'approved', 'rejected'], example: 'pending' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'revoked', 'suspended', 'withdrawn', 'expired'], example: 'pending' },
+            request_message: { type: 'string', nullable: true, description: 'Message from the Mahasiswa with the latest request' },
+            status_reason: { type: 'string', nullable: true, description: 'Reason given with the last rejection, revoke or suspend' },
+            rerequest_allowed_at: { type: 'string', format: 'date-time', nullable: true, description: 'Only in my-requests, for rejected requests: when a new request is allowed' },
+            suspended_until: { type: 'string', format: 'date-time', nullable: true },
+            expires_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the approval expires; null = never' },
+            renewal_requested_at: { type: 'string', format: 'date-time', nullable: true, description: 'Set while a renewal request is waiting for the Dosen' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        PermissionHistoryEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            action: {
+              type: 'string',
+              enum: ['requested', 'approved', 'rejected', 'revoked', 'suspended', 'resumed', 'withdrawn', 'expired',
+                'renewal_requested', 'renewal_approved', 'renewal_rejected', 'force_assigned'],
+              example: 'rejected'
+            },
+            status: { type: 'string', description: 'Status of the permission after the change', example: 'rejected' },
+            reason: { type: 'string', nullable: true, description: 'Request message or reason given with the change', example: 'Kuota bimbingan penuh' },
+            actor_id: { type: 'string', format: 'uuid', nullable: true, description: 'User who made the change; null when applied by the server (expiry)' },
+            actor_name: { type: 'string', nullable: true },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        PermissionChangeRequest: {
+          type: 'object',
+          properties: {
+            reason: { type: 'string', maxLength: 500, example: 'Bimbingan skripsi sudah selesai' }
+          }
+        },
+        SuspendPermissionRequest: {
+          type: 'object',
+          required: ['duration_days'],
+          properties: {
+            duration_days: { type: 'integer', minimum: 1, maximum: 180, example: 14 },
+            reason: { type: 'string', maxLength: 500, example: 'Sedang cuti' }
+          }
+        },
+        PermissionChangeResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Permission suspended successfully' },
+            permission_id: { type: 'string', format: 'uuid' },
+            new_status: { type: 'string', enum: ['approved', 'revoked', 'suspended', 'withdrawn', 'expired'] },
+            suspended_until: { type: 'string', format: 'date-time', description: 'Only for suspend' },
+            reason: { type: 'string', nullable: true }
+          }
+        },
         RequestAccessRequest: {
           type: 'object',
           required: ['lecturer_id'],
           properties: {
-            lecturer_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' }
+            lecturer_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
+            message: { type: 'string', maxLength: 500, example: 'Saya mahasiswa bimbingan skripsi Bapak' }
           }
         },
         HandleRequestRequest: {
@@ -97,7 +480,28 @@ const options = {
           required: ['permission_id', 'action'],
           properties: {
             permission_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440001' },
-            action: { type: 'string', enum: ['approved', 'rejected'], example: 'approved' }
+            action: { type: 'string', enum: ['approved', 'rejected'], example: 'approved' },
+            reason: { type: 'string', maxLength: 500, example: 'Kuota bimbingan penuh', description: 'Optional reason for a rejection, shown to the Mahasiswa' },
+            expires_at: { type: 'string', format: 'date-time', nullable: true, example: '2026-12-31', description: 'Optional expiry of an approval (ISO 8601 date or date-time, at most 366 days away). A plain date stays valid through that day (UTC). Omit for no expiry; required when approving a renewal' }
+          }
+        },
+        HandleRequestResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Request approved successfully' },
+            permission_id: { type: 'string', format: 'uuid' },
+            new_status: { type: 'string', example: 'approved', description: 'For an answered renewal, the current status (a suspension is kept)' },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            reason: { type: 'string', nullable: true }
+          }
+        },
+        RenewalResponse: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Renewal requested successfully' },
+            permission_id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['approved', 'suspended', 'expired'] },
+            expires_at: { type: 'string', format: 'date-time' }
           }
         },
         DosenLocation: {
@@ -108,9 +512,11 @@ const options = {
             nidn: { type: 'string', example: '0001018501' },
             latitude: { type: 'number', format: 'double', example: -3.219 },
             longitude: { type: 'number', format: 'double', example: 104.64 },
-            position_name: { type: 'string', example: 'UNSRI Indralaya' },
+            position_name: { type: 'string', example: 'UNSRI Indralaya > Gedung Fasilkom', description: 'Zone path names joined with " > "' },
+            zone_path: { type: 'array', items: { $ref: '#/components/schemas/ZonePathItem' } },
             is_online: { type: 'boolean', example: true },
-            last_updated: { type: 'string', format: 'date-time' }
+            last_updated: { type: 'string', format: 'date-time' },
+            permission_expires_at: { type: 'string', format: 'date-time', nullable: true, description: 'When my permission to track this Dosen expires; null = never' }
           }
         },
         MahasiswaInfo: {
@@ -121,10 +527,28 @@ const options = {
             name: { type: 'string', example: 'Ahmad Santoso' },
             email: { type: 'string', format: 'email', example: 'ahmad@unsri.ac.id' },
             nim: { type: 'string', example: '09021182126002' },
-            status: { type: 'string', enum: ['pending', 'approved', 'rejected'], example: 'approved' },
+            status: { type: 'string', enum: ['approved', 'suspended'], example: 'approved' },
+            suspended_until: { type: 'string', format: 'date-time', nullable: true },
+            status_reason: { type: 'string', nullable: true, description: 'Reason given with the suspension' },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            renewal_requested_at: { type: 'string', format: 'date-time', nullable: true },
             requested_at: { type: 'string', format: 'date-time' }
           }
         },
+        AuditLog: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            event_type: { type: 'string', example: 'account_locked' },
+            user_id: { type: 'string', format: 'uuid', nullable: true },
+            user_email: { type: 'string', nullable: true, example: 'mahasiswa1@unsri.ac.id' },
+            actor_id: { type: 'string', format: 'uuid', nullable: true, description: 'Admin who triggered the event' },
+            actor_name: { type: 'string', nullable: true },
+            ip_address: { type: 'string', nullable: true, example: '10.0.0.12' },
+            details: { type: 'object', nullable: true, example: { failed_attempts: 5, lockout_minutes: 15 } },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -143,7 +567,11 @@ const options = {
           required: ['latitude', 'longitude'],
           properties: {
             latitude: { type: 'number', format: 'double', example: -3.2195, description: 'Latitude coordinate' },
-            longitude: { type: 'number', format: 'double', example: 104.6477, description: 'Longitude coordinate' }
+            longitude: { type: 'number', format: 'double', example: 104.6477, description: 'Longitude coordinate' },
+            accuracy: { type: 'number', example: 8, description: 'Accuracy radius in meters (optional)' },
+            speed: { type: 'number', example: 1.2, description: 'Speed in m/s (optional)' },
+            heading: { type: 'number', example: 90, description: 'Heading in degrees, 0-360 (optional)' },
+            timestamp: { oneOf: [{ type: 'integer' }, { type: 'string', format: 'date-time' }], description: 'Device fix time, ms since epoch or ISO 8601 (optional, defaults to the server time)' }
           }
         },
         JoinRoomPayload: {
@@ -166,7 +594,11 @@ const options = {
             dosen_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
             latitude: { type: 'number', format: 'double', example: -3.2195 },
             longitude: { type: 'number', format: 'double', example: 104.6477 },
-            position_name: { type: 'string', example: 'UNSRI Indralaya', description: 'Campus name or "Di luar kampus" if outside geofence' },
+            position_name: { type: 'string', example: 'UNSRI Indralaya > Gedung Fasilkom', description: 'Zone path names joined with " > ", or "Di Luar" if outside all geofences' },
+            zone_path: { type: 'array', items: { $ref: '#/components/schemas/ZonePathItem' }, description: 'Zones from campus down to the most specific one; empty outside' },
+            accuracy: { type: 'number', nullable: true, example: 8, description: 'Fix accuracy in meters; null outside or when not reported' },
+            speed: { type: 'number', nullable: true, example: 1.2, description: 'Speed in m/s; null outside or when not reported' },
+            heading: { type: 'number', nullable: true, example: 90, description: 'Heading in degrees; null outside or when not reported' },
             last_updated: { type: 'string', format: 'date-time' }
           }
         },
@@ -176,6 +608,23 @@ const options = {
             dosen_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
             is_online: { type: 'boolean', example: true, description: 'Whether the Dosen is currently connected' }
           }
+        },
+        PermissionRevokedPayload: {
+          type: 'object',
+          properties: {
+            dosen_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
+            status: { type: 'string', enum: ['rejected', 'revoked', 'suspended', 'withdrawn', 'expired'], example: 'revoked' },
+            reason: { type: 'string', nullable: true, description: 'Reason given by the Dosen' },
+            message: { type: 'string', example: 'Your permission to track this dosen has ended' }
+          }
+        },
+        PermissionResumedPayload: {
+          type: 'object',
+          properties: {
+            dosen_id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440003' },
+            status: { type: 'string', enum: ['approved'], example: 'approved' },
+            message: { type: 'string', example: 'Your permission to track this dosen was resumed' }
+          }
         }
       }
     },
@@ -183,6 +632,7 @@ const options = {
       { name: 'Auth', description: 'Authentication endpoints' },
       { name: 'Admin', description: 'Admin management endpoints' },
       { name: 'Tracking', description: 'Location tracking and permission endpoints' },
+      { name: 'Geofences', description: 'Campus geofence management (admin)' },
       { name: 'WebSocket', description: `Socket.IO real-time events documentation. Connect to ${BASE_URL.replace('http', 'ws').replace('https', 'wss')} with path /api/v1/io` }
     ],
     paths: {
@@ -211,7 +661,8 @@ const socket = io('${BASE_URL}', {
 ### Connection Events
 - \`connect\` - Fired when successfully connected
 - \`disconnect\` - Fired when disconnected
-- \`connect_error\` - Fired on connection error (usually auth failure)
+- \`connect_error\` - Fired on connection error (usually auth failure or revoked session)
+- \`session_revoked\` - Sent right before the server disconnects a socket whose session was signed out
           `,
           responses: {
             '200': {
@@ -235,11 +686,20 @@ Dosen emits this event to update their current location. The server will:
 2. Persist location to database (throttled to once per 60 seconds)
 3. Broadcast to all students tracking this Dosen
 
+Fixes are sanity checked first. Out-of-range coordinates are rejected with an \`error\` event. These fixes are dropped with \`location_updated\` \`{ success: false, discarded: true, reason }\`:
+- \`stale\`: older than the last accepted fix (by \`timestamp\`)
+- \`impossible_jump\`: implies moving faster than \`GPS_MAX_SPEED_KMH\` (default 200)
+- \`low_accuracy\`: the \`accuracy\` radius is larger than the geofence the fix lands in or leaves
+
 ### Emit Example
 \`\`\`javascript
 socket.emit('update_location', {
   latitude: -3.2195,
-  longitude: 104.6477
+  longitude: 104.6477,
+  accuracy: 8,           // optional, meters
+  speed: 1.2,            // optional, m/s
+  heading: 90,           // optional, degrees
+  timestamp: Date.now()  // optional, device fix time
 });
 \`\`\`
 
@@ -381,7 +841,7 @@ socket.on('dosen_moved', (data) => {
           description: `
 ## Dosen Status (Server → Client)
 
-Server broadcasts this event when a Dosen's online status changes (connects or disconnects).
+Server sends this event when a Dosen's online status changes (connects or disconnects). Only Mahasiswa with an approved tracking permission for that Dosen receive it, whether or not they have joined the Dosen's room. It is also sent once after \`join_dosen_room\`.
 
 ### Listen Example
 \`\`\`javascript
@@ -407,6 +867,69 @@ socket.on('dosen_status', (data) => {
             }
           }
         }
+      },
+      '/socket.io/on/permission_revoked': {
+        get: {
+          tags: ['WebSocket'],
+          summary: 'Server → Client: permission_revoked',
+          description: `
+## Permission Revoked (Server → Client)
+
+Sent to a Mahasiswa when their permission to track a Dosen ends or is suspended (rejected, revoked or suspended by
+the Dosen, withdrawn from another tab, expired at its \`expires_at\`, or the Dosen account was deleted or changed role). The socket has already been removed from the Dosen's room and receives no further
+\`dosen_moved\` events for that Dosen.
+
+### Listen Example
+\`\`\`javascript
+socket.on('permission_revoked', (data) => {
+  console.log('No longer tracking', data.dosen_id, data.message);
+});
+\`\`\`
+          `,
+          responses: {
+            '200': {
+              description: 'Event payload received by client',
+              content: {
+                'application/json': {
+                  schema: {
+                    '$ref': '#/components/schemas/PermissionRevokedPayload'
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/socket.io/on/permission_resumed': {
+        get: {
+          tags: ['WebSocket'],
+          summary: 'Server → Client: permission_resumed',
+          description: `
+## Permission Resumed (Server → Client)
+
+Sent to a Mahasiswa when the Dosen ends a suspension early. The socket is not in the Dosen's room after the
+suspension; emit \`join_dosen_room\` again to receive \`dosen_moved\` events.
+
+### Listen Example
+\`\`\`javascript
+socket.on('permission_resumed', (data) => {
+  socket.emit('join_dosen_room', { dosenId: data.dosen_id });
+});
+\`\`\`
+          `,
+          responses: {
+            '200': {
+              description: 'Event payload received by client',
+              content: {
+                'application/json': {
+                  schema: {
+                    '$ref': '#/components/schemas/PermissionResumedPayload'
+                  }
+                }
+              }
+            }
+          }
+        }
       }
     }
   },
@@ -1,5 +1,88 @@
 const bcrypt = require('bcrypt');
-const { runQuery, getOne, getAll, generateUUID } = require('../config/db');
+const { runQuery, getOne, getAll, runTransaction, generateUUID } = require('../config/db');
+const { revokeAllSessions, bumpTokenVersion } = require('../utils/session');
+const { validatePasswordStrength, generateTemporaryPassword } = require('../utils/password');
+const { clearAccountFailures } = require('../utils/loginGuard');
+const { logAuditEvent } = require('../utils/audit');
+const { getSetting, setSetting } = require('../utils/settings');
+const { parseCsvRecords } = require('../utils/csv');
+const { parsePagination, paginate, toLikePattern } = require('../utils/pagination');
+const {
+  PERMISSION_STATUSES,
+  effectiveStatusSql,
+  normalizeExpiresAt,
+  recordPermissionChange
+} = require('../utils/permissions');
+
+// Role-specific profile table and its unique identifier column
+const ROLE_PROFILES = {
+  mahasiswa: { table: 'mahasiswa', field: 'nim', label: 'NIM' },
+  dosen: { table: 'dosen', field: 'nidn', label: 'NIDN' },
+  admin: { table: 'admin', field: 'nip', label: 'NIP' }
+};
+
+// Maximum data rows accepted by one CSV import
+const USER_IMPORT_MAX_ROWS = 1000;
+
+// Values per IN (...) lookup, below SQLite's default limit of bound parameters
+const LOOKUP_CHUNK_SIZE = 500;
+
+// Import socket manager hooks for user sockets (will be set from server.js)
+let socketHandlers = null;
+
+/**
+ * Set the socket manager hooks ({ disconnectUser, revokeTrackingAccess })
+ * Called during server initialization
+ */
+const setSocketHandlers = (handlers) => {
+  socketHandlers = handlers;
+};
+
+/**
+ * Validate the role and its required identifier (NIM/NIDN/NIP) of a new user
+ * @param {Object} fields - { role, nim, nidn, nip }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRoleFields = (fields) => {
+  const profile = ROLE_PROFILES[fields.role];
+  
+  if (!profile) {
+    return 'Invalid role. Must be: admin, dosen, or mahasiswa';
+  }
+  
+  if (!fields[profile.field]) {
+    return `${profile.label} is required for ${fields.role}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Check whether an email or role identifier is already registered
+ * @param {string} email - Sanitized email
+ * @param {string} role - 'admin', 'dosen' or 'mahasiswa'
+ * @param {string} identifier - NIM/NIDN/NIP
+ * @returns {Promise<string|null>} Error message, or null if both are free
+ */
+const findDuplicateUser = async (email, role, identifier) => {
+  const existingUser = await getOne('SELECT id FROM users WHERE email = ?', [email]);
+  
+  if (existingUser) {
+    return 'Email already registered';
+  }
+  
+  const profile = ROLE_PROFILES[role];
+  const existingIdentifier = await getOne(
+    `SELECT user_id FROM ${profile.table} WHERE ${profile.field} = ?`,
+    [identifier]
+  );
+  
+  if (existingIdentifier) {
+    return `${profile.label} already registered`;
+  }
+  
+  return null;
+};
 
 /**
  * Create a new user (admin, dosen, or mahasiswa)
@@ -16,55 +99,20 @@ const createUser = async (req, res) => {
       });
     }
     
-    // Validate role
-    const validRoles = ['admin', 'dosen', 'mahasiswa'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ 
-        error: 'Invalid role. Must be: admin, dosen, or mahasiswa' 
-      });
-    }
-    
-    // Validate role-specific required fields
-    if (role === 'mahasiswa' && !nim) {
-      return res.status(400).json({ error: 'NIM is required for mahasiswa' });
-    }
-    if (role === 'dosen' && !nidn) {
-      return res.status(400).json({ error: 'NIDN is required for dosen' });
-    }
-    if (role === 'admin' && !nip) {
-      return res.status(400).json({ error: 'NIP is required for admin' });
+    // Validate role and role-specific required fields
+    const roleError = validateRoleFields(req.body);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
     }
     
     // Sanitize inputs
     const sanitizedEmail = String(email).trim().toLowerCase();
     const sanitizedName = String(name).trim();
     
-    // Check if email already exists
-    const existingUser = await getOne(
-      'SELECT id FROM users WHERE email = ?',
-      [sanitizedEmail]
-    );
-    
-    if (existingUser) {
-      return res.status(409).json({ error: 'Email already registered' });
-    }
-    
-    // Check for duplicate nim/nidn/nip
-    if (role === 'mahasiswa') {
-      const existingNim = await getOne('SELECT user_id FROM mahasiswa WHERE nim = ?', [nim]);
-      if (existingNim) {
-        return res.status(409).json({ error: 'NIM already registered' });
-      }
-    } else if (role === 'dosen') {
-      const existingNidn = await getOne('SELECT user_id FROM dosen WHERE nidn = ?', [nidn]);
-      if (existingNidn) {
-        return res.status(409).json({ error: 'NIDN already registered' });
-      }
-    } else if (role === 'admin') {
-      const existingNip = await getOne('SELECT user_id FROM admin WHERE nip = ?', [nip]);
-      if (existingNip) {
-        return res.status(409).json({ error: 'NIP already registered' });
-      }
+    // Check if email or nim/nidn/nip already exists
+    const duplicateError = await findDuplicateUser(sanitizedEmail, role, req.body[ROLE_PROFILES[role].field]);
+    if (duplicateError) {
+      return res.status(409).json({ error: duplicateError });
     }
     
     // Hash password
@@ -113,8 +161,230 @@ const createUser = async (req, res) => {
   }
 };
 
+/**
+ * Find which emails and role identifiers of an import are already registered
+ * Runs one IN (...) query per table instead of a lookup per row
+ * @param {Object[]} candidates - [{ email, role, identifier }]
+ * @returns {Promise<Object>} { emails: Set, identifiers: Set of 'role:identifier' }
+ */
+const findRegisteredUsers = async (candidates) => {
+  const selectIn = async (sql, values) => {
+    const rows = [];
+    for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = values.slice(i, i + LOOKUP_CHUNK_SIZE);
+      rows.push(...await getAll(sql(chunk.map(() => '?').join(', ')), chunk));
+    }
+    return rows;
+  };
+  
+  const emails = [...new Set(candidates.map(candidate => candidate.email).filter(Boolean))];
+  const existingEmails = await selectIn(
+    placeholders => `SELECT email FROM users WHERE email IN (${placeholders})`,
+    emails
+  );
+  
+  const existingIdentifiers = new Set();
+  for (const [role, profile] of Object.entries(ROLE_PROFILES)) {
+    const identifiers = [...new Set(candidates
+      .filter(candidate => candidate.role === role && candidate.identifier)
+      .map(candidate => candidate.identifier))];
+    
+    if (identifiers.length === 0) {
+      continue;
+    }
+    
+    const rows = await selectIn(
+      placeholders => `SELECT ${profile.field} AS identifier FROM ${profile.table} WHERE ${profile.field} IN (${placeholders})`,
+      identifiers
+    );
+    rows.forEach(row => existingIdentifiers.add(`${role}:${row.identifier}`));
+  }
+  
+  return {
+    emails: new Set(existingEmails.map(row => row.email)),
+    identifiers: existingIdentifiers
+  };
+};
+
+/**
+ * Bulk import users from CSV (columns: name, email, role, nim, nidn, nip)
+ * Every row is validated like createUser; nothing is imported unless all rows are valid.
+ * Imported users get a temporary password and must change it at first login.
+ * Use dry_run=true to only get the per-row validation report.
+ * Admin only endpoint
+ */
+const importUsers = async (req, res) => {
+  try {
+    // Raw text/csv body, or JSON { csv, dry_run }
+    const csvText = typeof req.body === 'string' ? req.body : (req.body && req.body.csv);
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run)) || (req.body && req.body.dry_run === true);
+    
+    if (!csvText || !String(csvText).trim()) {
+      return res.status(400).json({ 
+        error: 'CSV content is required (text/csv body or JSON { csv })' 
+      });
+    }
+    
+    const { columns, records } = parseCsvRecords(csvText);
+    
+    const missingColumns = ['name', 'email', 'role'].filter(column => !columns.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ error: `Missing required columns: ${missingColumns.join(', ')}` });
+    }
+    
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'CSV contains no data rows' });
+    }
+    
+    if (records.length > USER_IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `CSV may contain at most ${USER_IMPORT_MAX_ROWS} rows` });
+    }
+    
+    const candidates = records.map(({ line, data }) => {
+      const role = data.role ? data.role.toLowerCase() : null;
+      const profile = ROLE_PROFILES[role];
+      
+      return {
+        line,
+        data,
+        email: data.email ? data.email.toLowerCase() : null,
+        role,
+        identifier: profile ? data[profile.field] || null : null
+      };
+    });
+    const registered = await findRegisteredUsers(candidates);
+    
+    // Validate every row, including duplicates within the file itself
+    const seenEmails = new Map();
+    const seenIdentifiers = new Map();
+    const rows = [];
+    
+    for (const { line, data, email, role, identifier } of candidates) {
+      const errors = [];
+      const name = data.name || null;
+      const profile = ROLE_PROFILES[role];
+      
+      if (!name || !email || !role) {
+        errors.push('Name, email, and role are required');
+      } else {
+        const roleError = validateRoleFields({ ...data, role });
+        if (roleError) {
+          errors.push(roleError);
+        }
+      }
+      
+      if (email && seenEmails.has(email)) {
+        errors.push(`Email duplicated in row ${seenEmails.get(email)}`);
+      }
+      
+      const identifierKey = identifier ? `${role}:${identifier}` : null;
+      if (identifierKey && seenIdentifiers.has(identifierKey)) {
+        errors.push(`${profile.label} duplicated in row ${seenIdentifiers.get(identifierKey)}`);
+      }
+      
+      if (errors.length === 0) {
+        if (registered.emails.has(email)) {
+          errors.push('Email already registered');
+        } else if (registered.identifiers.has(identifierKey)) {
+          errors.push(`${profile.label} already registered`);
+        }
+      }
+      
+      if (email && !seenEmails.has(email)) {
+        seenEmails.set(email, line);
+      }
+      if (identifierKey && !seenIdentifiers.has(identifierKey)) {
+        seenIdentifiers.set(identifierKey, line);
+      }
+      
+      rows.push({
+        row: line,
+        name,
+        email,
+        role,
+        identifier,
+        valid: errors.length === 0,
+        errors
+      });
+    }
+    
+    const invalidRows = rows.filter(row => !row.valid).length;
+    const report = {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      valid_rows: rows.length - invalidRows,
+      invalid_rows: invalidRows,
+      rows
+    };
+    
+    if (dryRun) {
+      return res.status(200).json({ message: 'Dry run completed, nothing was imported', ...report });
+    }
+    
+    if (invalidRows > 0) {
+      return res.status(400).json({ error: 'CSV contains invalid rows, nothing was imported', ...report });
+    }
+    
+    // Hash outside the transaction so it is held only for the inserts; bcrypt hashes
+    // on the libuv thread pool, so starting them together uses every pool thread
+    const users = await Promise.all(rows.map(async (row) => {
+      const temporaryPassword = generateTemporaryPassword();
+      return {
+        ...row,
+        id: generateUUID(),
+        temporaryPassword,
+        passwordHash: await bcrypt.hash(temporaryPassword, 10)
+      };
+    }));
+    
+    await runTransaction(async () => {
+      for (const user of users) {
+        const profile = ROLE_PROFILES[user.role];
+        
+        await runQuery(
+          'INSERT INTO users (id, name, email, password_hash, must_change_password) VALUES (?, ?, ?, ?, 1)',
+          [user.id, user.name, user.email, user.passwordHash]
+        );
+        await runQuery(
+          `INSERT INTO ${profile.table} (user_id, ${profile.field}) VALUES (?, ?)`,
+          [user.id, user.identifier]
+        );
+      }
+    });
+    
+    await logAuditEvent({
+      eventType: 'users_imported',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { count: users.length }
+    });
+    
+    res.status(201).json({
+      message: `${users.length} users imported successfully. They must change their password at first login`,
+      imported: users.length,
+      users: users.map(user => ({
+        row: user.row,
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        temporary_password: user.temporaryPassword
+      }))
+    });
+    
+  } catch (error) {
+    // Lost a race with another request claiming the same email/identifier
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: 'Email or identifier already registered, nothing was imported' });
+    }
+    console.error('Import users error:', error.message);
+    res.status(500).json({ error: 'Internal server error while importing users' });
+  }
+};
+
 /**
  * Force assign tracking permission (set status to approved)
+ * Body: { student_id, lecturer_id, expires_at? }
  * Admin only endpoint
  */
 const forceAssignPermission = async (req, res) => {
@@ -128,6 +398,12 @@ const forceAssignPermission = async (req, res) => {
       });
     }
     
+    const { expiresAt, error } = normalizeExpiresAt(req.body.expires_at);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
     // Verify student exists in mahasiswa table
     const student = await getOne(
       'SELECT user_id FROM mahasiswa WHERE user_id = ?',
@@ -156,27 +432,42 @@ const forceAssignPermission = async (req, res) => {
     
     if (existingPermission) {
       // Update existing permission to approved
-      await runQuery(
-        'UPDATE tracking_permissions SET status = ? WHERE id = ?',
-        ['approved', existingPermission.id]
-      );
+      await runTransaction(async () => {
+        await runQuery(
+          `UPDATE tracking_permissions 
+           SET status = ?, status_reason = NULL, suspended_until = NULL, expires_at = ?, 
+               renewal_requested_at = NULL, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ?`,
+          ['approved', expiresAt, existingPermission.id]
+        );
+        await recordPermissionChange(existingPermission.id, {
+          action: 'force_assigned', status: 'approved', actorId: req.user.id
+        });
+      });
       
       return res.status(200).json({
         message: 'Permission updated to approved',
-        permission_id: existingPermission.id
+        permission_id: existingPermission.id,
+        expires_at: expiresAt
       });
     }
     
     // Insert new permission with approved status
     const permissionId = generateUUID();
-    await runQuery(
-      'INSERT INTO tracking_permissions (id, student_id, lecturer_id, status) VALUES (?, ?, ?, ?)',
-      [permissionId, student_id, lecturer_id, 'approved']
-    );
+    await runTransaction(async () => {
+      await runQuery(
+        'INSERT INTO tracking_permissions (id, student_id, lecturer_id, status, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [permissionId, student_id, lecturer_id, 'approved', expiresAt]
+      );
+      await recordPermissionChange(permissionId, {
+        action: 'force_assigned', status: 'approved', actorId: req.user.id
+      });
+    });
     
     res.status(201).json({
       message: 'Permission created and approved',
-      permission_id: permissionId
+      permission_id: permissionId,
+      expires_at: expiresAt
     });
     
   } catch (error) {
@@ -186,18 +477,94 @@ const forceAssignPermission = async (req, res) => {
 };
 
 /**
- * Get all users with their role information
+ * List users with their role information
+ * Query: q (search name/email/NIM/NIDN/NIP), role, sort (created_at|name|email),
+ * order (asc|desc), limit, cursor (next_cursor of the previous page)
  * Admin only endpoint
  */
 const getAllUsers = async (req, res) => {
   try {
-    // Get all users with role information using LEFT JOINs
-    const users = await getAll(`
+    const { q, role } = req.query;
+    
+    const pagination = parsePagination(req.query, {
+      sortFields: ['created_at', 'name', 'email'],
+      defaultSort: 'created_at'
+    });
+    
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+    
+    const conditions = [];
+    const params = [];
+    
+    if (role) {
+      if (!ROLE_PROFILES[role]) {
+        return res.status(400).json({ 
+          error: 'Invalid role. Must be: admin, dosen, or mahasiswa' 
+        });
+      }
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    
+    if (q) {
+      conditions.push(`(name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR nim LIKE ? ESCAPE '\\'
+        OR nidn LIKE ? ESCAPE '\\' OR nip LIKE ? ESCAPE '\\')`);
+      params.push(...Array(5).fill(toLikePattern(q)));
+    }
+    
+    // Users with role information using LEFT JOINs
+    const result = await paginate({
+      baseSql: `
+        SELECT 
+          u.id,
+          u.name,
+          u.email,
+          u.created_at,
+          CASE 
+            WHEN a.user_id IS NOT NULL THEN 'admin'
+            WHEN d.user_id IS NOT NULL THEN 'dosen'
+            WHEN m.user_id IS NOT NULL THEN 'mahasiswa'
+            ELSE 'unknown'
+          END as role,
+          a.nip,
+          d.nidn,
+          m.nim
+        FROM users u
+        LEFT JOIN admin a ON u.id = a.user_id
+        LEFT JOIN dosen d ON u.id = d.user_id
+        LEFT JOIN mahasiswa m ON u.id = m.user_id
+      `,
+      conditions,
+      params,
+      pagination
+    });
+    
+    res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Get all users error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Update a user's name, email, identifier (NIM/NIDN/NIP) or role
+ * Only the fields present in the body are changed. Changing the role moves the
+ * user to the new profile table; permissions and history tied to the old role are removed.
+ * Admin only endpoint
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, email, role } = req.body;
+    
+    const current = await getOne(`
       SELECT 
         u.id,
         u.name,
         u.email,
-        u.created_at,
         CASE 
           WHEN a.user_id IS NOT NULL THEN 'admin'
           WHEN d.user_id IS NOT NULL THEN 'dosen'
@@ -211,17 +578,178 @@ const getAllUsers = async (req, res) => {
       LEFT JOIN admin a ON u.id = a.user_id
       LEFT JOIN dosen d ON u.id = d.user_id
       LEFT JOIN mahasiswa m ON u.id = m.user_id
-      ORDER BY u.created_at DESC
-    `);
+      WHERE u.id = ?
+    `, [id]);
+    
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const fields = ['name', 'email', 'role', 'nim', 'nidn', 'nip'];
+    if (!fields.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({ 
+        error: 'At least one of name, email, role, nim, nidn or nip is required' 
+      });
+    }
+    
+    // Validate role
+    if (role !== undefined && !ROLE_PROFILES[role]) {
+      return res.status(400).json({ 
+        error: 'Invalid role. Must be: admin, dosen, or mahasiswa' 
+      });
+    }
+    
+    const currentProfile = ROLE_PROFILES[current.role];
+    const currentIdentifier = currentProfile ? current[currentProfile.field] : null;
+    const newRole = role || current.role;
+    const profile = ROLE_PROFILES[newRole];
+    const roleChanged = newRole !== current.role;
+    
+    if (!profile) {
+      return res.status(400).json({ error: 'User has no role, role is required' });
+    }
+    
+    // Prevent admins from locking themselves out
+    if (roleChanged && id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+    
+    // Identifiers of other roles cannot be set
+    const foreignProfile = Object.values(ROLE_PROFILES)
+      .find(other => other !== profile && req.body[other.field] !== undefined);
+    if (foreignProfile) {
+      return res.status(400).json({ 
+        error: `${foreignProfile.label} can only be set for ${foreignProfile.table}` 
+      });
+    }
+    
+    // Sanitize inputs
+    const sanitizedName = name !== undefined ? String(name).trim() : current.name;
+    const sanitizedEmail = email !== undefined ? String(email).trim().toLowerCase() : current.email;
+    const identifier = req.body[profile.field] !== undefined
+      ? String(req.body[profile.field]).trim()
+      : (roleChanged ? null : currentIdentifier);
+    
+    if (!sanitizedName || !sanitizedEmail) {
+      return res.status(400).json({ error: 'Name and email cannot be empty' });
+    }
+    
+    if (!identifier) {
+      return res.status(400).json({ error: `${profile.label} is required for ${newRole}` });
+    }
+    
+    // Check uniqueness against other users
+    const existingUser = await getOne(
+      'SELECT id FROM users WHERE email = ? AND id != ?',
+      [sanitizedEmail, id]
+    );
+    
+    if (existingUser) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+    
+    const existingIdentifier = await getOne(
+      `SELECT user_id FROM ${profile.table} WHERE ${profile.field} = ? AND user_id != ?`,
+      [identifier, id]
+    );
+    
+    if (existingIdentifier) {
+      return res.status(409).json({ error: `${profile.label} already registered` });
+    }
+    
+    const nameChanged = sanitizedName !== current.name;
+    
+    const removed = await runTransaction(async () => {
+      const counts = { permissions: 0, locationHistory: 0 };
+      
+      await runQuery(
+        'UPDATE users SET name = ?, email = ? WHERE id = ?',
+        [sanitizedName, sanitizedEmail, id]
+      );
+      
+      if (roleChanged) {
+        // Data tied to the old profile is removed by the cascade - count it for the response
+        if (current.role === 'mahasiswa') {
+          const row = await getOne('SELECT COUNT(*) as count FROM tracking_permissions WHERE student_id = ?', [id]);
+          counts.permissions = row.count;
+        } else if (current.role === 'dosen') {
+          const permissions = await getOne('SELECT COUNT(*) as count FROM tracking_permissions WHERE lecturer_id = ?', [id]);
+          const history = await getOne('SELECT COUNT(*) as count FROM location_history WHERE dosen_id = ?', [id]);
+          counts.permissions = permissions.count;
+          counts.locationHistory = history.count;
+        }
+        
+        if (currentProfile) {
+          await runQuery(`DELETE FROM ${currentProfile.table} WHERE user_id = ?`, [id]);
+        }
+        
+        await runQuery(
+          `INSERT INTO ${profile.table} (user_id, ${profile.field}) VALUES (?, ?)`,
+          [id, identifier]
+        );
+      } else if (identifier !== currentIdentifier) {
+        await runQuery(
+          `UPDATE ${profile.table} SET ${profile.field} = ? WHERE user_id = ?`,
+          [identifier, id]
+        );
+      }
+      
+      // Role and name are carried in issued tokens - invalidate them
+      if (roleChanged || nameChanged) {
+        await bumpTokenVersion(id);
+      }
+      
+      return counts;
+    });
+    
+    // Permissions of a former dosen were removed with the profile
+    if (roleChanged && current.role === 'dosen' && socketHandlers) {
+      socketHandlers.revokeTrackingAccess(id);
+    }
+    
+    // Live sockets were authenticated with the old role/name
+    let disconnected = 0;
+    if ((roleChanged || nameChanged) && socketHandlers) {
+      disconnected = socketHandlers.disconnectUser(
+        id,
+        'account_updated',
+        'Your account was updated, please refresh your token'
+      );
+    }
+    
+    await logAuditEvent({
+      eventType: 'user_updated',
+      userId: id,
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: {
+        before: { name: current.name, email: current.email, role: current.role, identifier: currentIdentifier },
+        after: { name: sanitizedName, email: sanitizedEmail, role: newRole, identifier }
+      }
+    });
     
     res.status(200).json({
-      count: users.length,
-      users: users
+      message: 'User updated successfully',
+      user: {
+        id,
+        name: sanitizedName,
+        email: sanitizedEmail,
+        role: newRole,
+        [profile.field]: identifier
+      },
+      role_changed: roleChanged,
+      removed_permissions: removed.permissions,
+      removed_location_history: removed.locationHistory,
+      disconnected_sockets: disconnected
     });
     
   } catch (error) {
-    console.error('Get all users error:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
+    // Lost a race with another request claiming the same email/identifier
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: 'Email or identifier already registered' });
+    }
+    console.error('Update user error:', error.message);
+    res.status(500).json({ error: 'Internal server error while updating user' });
   }
 };
 
@@ -249,12 +777,30 @@ const deleteUser = async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
     
-    // Delete user (cascades to profile tables due to foreign keys)
+    // Delete user (cascades to profile tables and sessions due to foreign keys)
     await runQuery('DELETE FROM users WHERE id = ?', [id]);
     
+    // Drop live sockets - the handshake check only runs on connect
+    const disconnected = socketHandlers ? socketHandlers.disconnectUser(id) : 0;
+    
+    // Mahasiswa watching a deleted dosen lost access with the cascaded permissions
+    // (no-op for other roles - nobody is in their room)
+    if (socketHandlers) {
+      socketHandlers.revokeTrackingAccess(id);
+    }
+    
+    await logAuditEvent({
+      eventType: 'user_deleted',
+      userId: id,
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { email: user.email }
+    });
+    
     res.status(200).json({
       message: 'User deleted successfully',
-      deleted_user_id: id
+      deleted_user_id: id,
+      disconnected_sockets: disconnected
     });
     
   } catch (error) {
@@ -264,35 +810,355 @@ const deleteUser = async (req, res) => {
 };
 
 /**
- * Get all tracking permissions
+ * Force logout a user everywhere (revoke all sessions, drop live sockets)
  * Admin only endpoint
  */
-const getAllPermissions = async (req, res) => {
+const forceLogoutUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await getOne('SELECT id FROM users WHERE id = ?', [id]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const revokedSessions = await revokeAllSessions(id);
+    const disconnected = socketHandlers ? socketHandlers.disconnectUser(id) : 0;
+    
+    res.status(200).json({
+      message: 'User logged out from all sessions',
+      user_id: id,
+      revoked_sessions: revokedSessions.length,
+      disconnected_sockets: disconnected
+    });
+    
+  } catch (error) {
+    console.error('Force logout user error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Reset a user's password (admin sets or generates a temporary password)
+ * The user must change it at next login; all existing sessions are revoked
+ * Admin only endpoint
+ */
+const resetUserPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { new_password } = req.body;
+    
+    const user = await getOne('SELECT id, email FROM users WHERE id = ?', [id]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Use the provided password or generate a random temporary one
+    let temporaryPassword = new_password;
+    
+    if (temporaryPassword) {
+      const strengthError = validatePasswordStrength(temporaryPassword);
+      if (strengthError) {
+        return res.status(400).json({ error: strengthError });
+      }
+    } else {
+      temporaryPassword = generateTemporaryPassword();
+    }
+    
+    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+    
+    await runQuery(
+      `UPDATE users
+       SET password_hash = ?, must_change_password = 1, password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [passwordHash, id]
+    );
+    
+    // Invalidate existing tokens and drop live sockets
+    const revokedSessions = await revokeAllSessions(id);
+    if (socketHandlers) {
+      socketHandlers.disconnectUser(id);
+    }
+    
+    res.status(200).json({
+      message: 'Password reset successfully. User must change it at next login',
+      user_id: id,
+      // Only echo back generated passwords - admin already knows the one they typed
+      temporary_password: new_password ? undefined : temporaryPassword,
+      revoked_sessions: revokedSessions.length
+    });
+    
+  } catch (error) {
+    console.error('Reset user password error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Unlock a user account locked by failed login attempts
+ * Admin only endpoint
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await getOne(
+      'SELECT id, failed_login_count, locked_until FROM users WHERE id = ?',
+      [id]
+    );
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await clearAccountFailures(id);
+    
+    await logAuditEvent({
+      eventType: 'account_unlocked',
+      userId: id,
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { previous_locked_until: user.locked_until, previous_failed_count: user.failed_login_count }
+    });
+    
+    res.status(200).json({
+      message: 'User account unlocked',
+      user_id: id
+    });
+    
+  } catch (error) {
+    console.error('Unlock user error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get which roles must use two-factor authentication
+ * Admin only endpoint
+ */
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const requiredRoles = await getSetting('two_factor_required_roles', []);
+    
+    res.status(200).json({
+      required_roles: requiredRoles
+    });
+    
+  } catch (error) {
+    console.error('Get two-factor policy error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Set which roles must use two-factor authentication
+ * Users of those roles without 2FA can only enroll until they set it up
+ * Admin only endpoint
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { required_roles } = req.body;
+    
+    const validRoles = ['admin', 'dosen', 'mahasiswa'];
+    if (!Array.isArray(required_roles) || required_roles.some(role => !validRoles.includes(role))) {
+      return res.status(400).json({ 
+        error: 'required_roles must be an array of: admin, dosen, mahasiswa' 
+      });
+    }
+    
+    const uniqueRoles = [...new Set(required_roles)];
+    await setSetting('two_factor_required_roles', uniqueRoles);
+    
+    await logAuditEvent({
+      eventType: 'two_factor_policy_changed',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { required_roles: uniqueRoles }
+    });
+    
+    res.status(200).json({
+      message: 'Two-factor policy updated',
+      required_roles: uniqueRoles
+    });
+    
+  } catch (error) {
+    console.error('Update two-factor policy error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Remove a user's 2FA (lost authenticator device)
+ * Admin only endpoint
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await getOne('SELECT id FROM users WHERE id = ?', [id]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await runQuery('UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE id = ?', [id]);
+    await runQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [id]);
+    
+    await logAuditEvent({
+      eventType: 'two_factor_reset',
+      userId: id,
+      actorId: req.user.id,
+      ipAddress: req.ip || null
+    });
+    
+    res.status(200).json({
+      message: 'Two-factor authentication removed for user',
+      user_id: id
+    });
+    
+  } catch (error) {
+    console.error('Reset user two-factor error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get security audit trail (lockouts, unlocks, ...)
+ * Optional filters: event_type, user_id, limit (default 100, max 500)
+ * Admin only endpoint
+ */
+const getAuditLogs = async (req, res) => {
   try {
-    const permissions = await getAll(`
+    const { event_type, user_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    
+    const conditions = [];
+    const params = [];
+    
+    if (event_type) {
+      conditions.push('al.event_type = ?');
+      params.push(event_type);
+    }
+    if (user_id) {
+      conditions.push('al.user_id = ?');
+      params.push(user_id);
+    }
+    
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    const logs = await getAll(`
       SELECT 
-        tp.id,
-        tp.student_id,
-        tp.lecturer_id,
-        tp.status,
-        tp.created_at,
-        us.name as student_name,
-        m.nim,
-        ul.name as lecturer_name,
-        d.nidn
-      FROM tracking_permissions tp
-      JOIN users us ON tp.student_id = us.id
-      JOIN mahasiswa m ON tp.student_id = m.user_id
-      JOIN users ul ON tp.lecturer_id = ul.id
-      JOIN dosen d ON tp.lecturer_id = d.user_id
-      ORDER BY tp.created_at DESC
-    `);
+        al.id,
+        al.event_type,
+        al.user_id,
+        u.email as user_email,
+        al.actor_id,
+        ua.name as actor_name,
+        al.ip_address,
+        al.details,
+        al.created_at
+      FROM audit_logs al
+      LEFT JOIN users u ON al.user_id = u.id
+      LEFT JOIN users ua ON al.actor_id = ua.id
+      ${whereClause}
+      ORDER BY al.created_at DESC
+      LIMIT ?
+    `, [...params, limit]);
+    
+    const processed = logs.map(log => ({
+      ...log,
+      details: log.details ? JSON.parse(log.details) : null
+    }));
     
     res.status(200).json({
-      count: permissions.length,
-      permissions: permissions
+      count: processed.length,
+      logs: processed
     });
     
+  } catch (error) {
+    console.error('Get audit logs error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * List tracking permissions
+ * Query: q (search student/lecturer name, NIM, NIDN), status, student_id, lecturer_id,
+ * sort (created_at|status|student_name|lecturer_name), order, limit, cursor
+ * Admin only endpoint
+ */
+const getAllPermissions = async (req, res) => {
+  try {
+    const { q, status, student_id, lecturer_id } = req.query;
+    
+    const pagination = parsePagination(req.query, {
+      sortFields: ['created_at', 'status', 'student_name', 'lecturer_name'],
+      defaultSort: 'created_at'
+    });
+    
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+    
+    const conditions = [];
+    const params = [];
+    
+    if (status) {
+      if (!PERMISSION_STATUSES.includes(status)) {
+        return res.status(400).json({ 
+          error: `Invalid status. Must be one of: ${PERMISSION_STATUSES.join(', ')}` 
+        });
+      }
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (student_id) {
+      conditions.push('student_id = ?');
+      params.push(student_id);
+    }
+    if (lecturer_id) {
+      conditions.push('lecturer_id = ?');
+      params.push(lecturer_id);
+    }
+    if (q) {
+      conditions.push(`(student_name LIKE ? ESCAPE '\\' OR nim LIKE ? ESCAPE '\\'
+        OR lecturer_name LIKE ? ESCAPE '\\' OR nidn LIKE ? ESCAPE '\\')`);
+      params.push(...Array(4).fill(toLikePattern(q)));
+    }
+    
+    const result = await paginate({
+      baseSql: `
+        SELECT 
+          tp.id,
+          tp.student_id,
+          tp.lecturer_id,
+          ${effectiveStatusSql('tp')} as status,
+          tp.request_message,
+          tp.status_reason,
+          tp.suspended_until,
+          tp.expires_at,
+          tp.renewal_requested_at,
+          tp.created_at,
+          tp.updated_at,
+          us.name as student_name,
+          m.nim,
+          ul.name as lecturer_name,
+          d.nidn
+        FROM tracking_permissions tp
+        JOIN users us ON tp.student_id = us.id
+        JOIN mahasiswa m ON tp.student_id = m.user_id
+        JOIN users ul ON tp.lecturer_id = ul.id
+        JOIN dosen d ON tp.lecturer_id = d.user_id
+      `,
+      conditions,
+      params,
+      pagination
+    });
+    
+    res.status(200).json(result);
+    
   } catch (error) {
     console.error('Get all permissions error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
@@ -301,8 +1167,18 @@ const getAllPermissions = async (req, res) => {
 
 module.exports = {
   createUser,
+  importUsers,
   forceAssignPermission,
   getAllUsers,
+  updateUser,
   deleteUser,
-  getAllPermissions
+  forceLogoutUser,
+  resetUserPassword,
+  unlockUser,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getAuditLogs,
+  getAllPermissions,
+  setSocketHandlers
 };
@@ -1,7 +1,126 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { getOne } = require('../config/db');
-const { JWT_SECRET, JWT_EXPIRES_IN } = require('../middleware/authMiddleware');
+const { getOne, getAll, runQuery, generateUUID } = require('../config/db');
+const { JWT_EXPIRES_IN } = require('../middleware/authMiddleware');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions,
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  claimTwoFactorToken,
+  hashToken
+} = require('../utils/session');
+const { validatePasswordStrength } = require('../utils/password');
+const { sendMail } = require('../utils/mailer');
+const {
+  createEnrollment,
+  useTotpCode,
+  regenerateRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
+const { logAuditEvent } = require('../utils/audit');
+const {
+  getIpState,
+  recordIpFailure,
+  takePasswordResetRequest,
+  getAccountState,
+  recordAccountFailure,
+  clearAccountFailures,
+  getProgressiveDelayMs
+} = require('../utils/loginGuard');
+
+// Password reset token lifetime in minutes
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30;
+
+// Minimum minutes between two reset emails to the same account
+const PASSWORD_RESET_COOLDOWN_MINUTES = parseInt(process.env.PASSWORD_RESET_COOLDOWN_MINUTES ?? '5', 10) || 0;
+
+// Page that receives ?token=... (mobile deep link, or the web form served at /reset-password)
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL
+  || `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 3010}`}/reset-password`;
+
+// Import socket manager hooks for session sockets (will be set from server.js)
+let socketHandlers = null;
+
+/**
+ * Set the socket manager hooks ({ getSessionSocketCount, disconnectSession })
+ * Called during server initialization
+ */
+const setSocketHandlers = (handlers) => {
+  socketHandlers = handlers;
+};
+
+/**
+ * Determine user role by checking profile tables
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} 'admin', 'dosen', 'mahasiswa' or null
+ */
+const getUserRole = async (userId) => {
+  const adminProfile = await getOne('SELECT user_id FROM admin WHERE user_id = ?', [userId]);
+  if (adminProfile) {
+    return 'admin';
+  }
+
+  const dosenProfile = await getOne('SELECT user_id FROM dosen WHERE user_id = ?', [userId]);
+  if (dosenProfile) {
+    return 'dosen';
+  }
+
+  const mahasiswaProfile = await getOne('SELECT user_id FROM mahasiswa WHERE user_id = ?', [userId]);
+  if (mahasiswaProfile) {
+    return 'mahasiswa';
+  }
+
+  return null;
+};
+
+/**
+ * Extract client info stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Finish a successful login: reset failure counters, start a session and send tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User row ({ id, name, email, must_change_password, totp_enabled, token_version })
+ * @param {string} role - User role
+ */
+const completeLogin = async (req, res, user, role) => {
+  await clearAccountFailures(user.id);
+  
+  // Start a new session and issue short-lived access token + refresh token
+  const { sessionId, refreshToken } = await createSession(user.id, getClientMeta(req));
+  const token = signAccessToken({ id: user.id, role: role, name: user.name, tokenVersion: user.token_version }, sessionId);
+  
+  const twoFactorSetupRequired = !user.totp_enabled && await isTwoFactorRequired(role);
+  
+  res.status(200).json({
+    message: 'Login successful',
+    token: token,
+    refresh_token: refreshToken,
+    expires_in: JWT_EXPIRES_IN,
+    must_change_password: !!user.must_change_password,
+    two_factor_setup_required: twoFactorSetupRequired,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: role
+    }
+  });
+};
 
 /**
  * Login controller
@@ -18,74 +137,665 @@ const login = async (req, res) => {
     
     // Sanitize email input
     const sanitizedEmail = String(email).trim().toLowerCase();
+    const ipAddress = req.ip || 'unknown';
+    
+    // Reject IPs that hit the failed attempt limit
+    const ipState = getIpState(ipAddress);
+    if (ipState.blockedForSeconds > 0) {
+      res.set('Retry-After', String(ipState.blockedForSeconds));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Try again later',
+        retry_after: ipState.blockedForSeconds
+      });
+    }
     
     // Find user by email (parameterized query for SQL injection protection)
     const user = await getOne(
-      'SELECT id, name, email, password_hash FROM users WHERE email = ?',
+      'SELECT id, name, email, password_hash, must_change_password, totp_enabled, token_version FROM users WHERE email = ?',
       [sanitizedEmail]
     );
     
+    // Reject temporarily locked accounts
+    const accountState = user
+      ? await getAccountState(user.id)
+      : { failedCount: 0, lockedForSeconds: 0 };
+    
+    if (accountState.lockedForSeconds > 0) {
+      res.set('Retry-After', String(accountState.lockedForSeconds));
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        retry_after: accountState.lockedForSeconds
+      });
+    }
+    
+    // Slow down repeated failures (per account and per IP)
+    const delayMs = getProgressiveDelayMs(accountState.failedCount, ipState.count);
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    
     if (!user) {
+      await recordIpFailure(ipAddress, sanitizedEmail);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
     // Verify password with bcrypt
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    const isPasswordValid = await bcrypt.compare(String(password), user.password_hash);
     
     if (!isPasswordValid) {
+      await recordIpFailure(ipAddress, sanitizedEmail);
+      const locked = await recordAccountFailure(user.id, ipAddress);
+      
+      if (locked) {
+        const { lockedForSeconds } = await getAccountState(user.id);
+        res.set('Retry-After', String(lockedForSeconds));
+        return res.status(423).json({
+          error: 'Account is temporarily locked due to too many failed login attempts',
+          retry_after: lockedForSeconds
+        });
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
     // Determine user role by checking profile tables
-    let role = null;
+    const role = await getUserRole(user.id);
     
-    const adminProfile = await getOne('SELECT * FROM admin WHERE user_id = ?', [user.id]);
-    if (adminProfile) {
-      role = 'admin';
+    if (!role) {
+      return res.status(403).json({ error: 'User has no assigned role' });
     }
     
-    if (!role) {
-      const dosenProfile = await getOne('SELECT * FROM dosen WHERE user_id = ?', [user.id]);
-      if (dosenProfile) {
-        role = 'dosen';
-      }
+    // Second step required - no session until the TOTP code is verified
+    if (user.totp_enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        two_factor_token: signTwoFactorToken(user.id)
+      });
     }
     
-    if (!role) {
-      const mahasiswaProfile = await getOne('SELECT * FROM mahasiswa WHERE user_id = ?', [user.id]);
-      if (mahasiswaProfile) {
-        role = 'mahasiswa';
+    await completeLogin(req, res, user, role);
+    
+  } catch (error) {
+    console.error('Login error:', error.message);
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+};
+
+/**
+ * Second login step: verify TOTP code (or a recovery code) and issue tokens
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { two_factor_token, code, recovery_code } = req.body;
+    
+    if (!two_factor_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: 'two_factor_token and code (or recovery_code) are required' });
+    }
+    
+    const twoFactorToken = verifyTwoFactorToken(two_factor_token);
+    
+    if (!twoFactorToken) {
+      return res.status(401).json({ error: 'Invalid or expired two-factor token. Please login again' });
+    }
+    
+    const user = await getOne(
+      `SELECT id, name, email, must_change_password, totp_secret, totp_enabled, token_version
+       FROM users WHERE id = ?`,
+      [twoFactorToken.userId]
+    );
+    
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Invalid or expired two-factor token. Please login again' });
+    }
+    
+    const ipAddress = req.ip || 'unknown';
+    const accountState = await getAccountState(user.id);
+    
+    if (accountState.lockedForSeconds > 0) {
+      res.set('Retry-After', String(accountState.lockedForSeconds));
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        retry_after: accountState.lockedForSeconds
+      });
+    }
+    
+    // Wrong codes count as failed logins (lockout protects the 6-digit space)
+    let isValid = false;
+    if (code) {
+      isValid = await useTotpCode(user.id, code, user.totp_secret);
+    } else {
+      isValid = await useRecoveryCode(user.id, recovery_code);
+      if (isValid) {
+        await logAuditEvent({ eventType: 'recovery_code_used', userId: user.id, ipAddress });
       }
     }
     
+    if (!isValid) {
+      const locked = await recordAccountFailure(user.id, ipAddress);
+      return res.status(locked ? 423 : 401).json({
+        error: locked
+          ? 'Account is temporarily locked due to too many failed login attempts'
+          : 'Invalid two-factor code'
+      });
+    }
+    
+    const role = await getUserRole(user.id);
+    
     if (!role) {
       return res.status(403).json({ error: 'User has no assigned role' });
     }
     
-    // Generate JWT token
-    const tokenPayload = {
-      id: user.id,
-      role: role,
-      name: user.name
-    };
+    // The intermediate token is single-use: a second exchange gets no session
+    if (!claimTwoFactorToken(twoFactorToken)) {
+      return res.status(401).json({ error: 'Invalid or expired two-factor token. Please login again' });
+    }
+    
+    await completeLogin(req, res, user, role);
+    
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+};
+
+/**
+ * Refresh controller
+ * Exchanges a refresh token for a new access token and a rotated refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
     
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    const rotated = await rotateRefreshToken(refresh_token, getClientMeta(req));
+    
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    const { session } = rotated;
+    
+    // Re-read user and role so name/role changes are picked up on refresh
+    const user = await getOne('SELECT id, name, token_version FROM users WHERE id = ?', [session.user_id]);
+    const role = user ? await getUserRole(user.id) : null;
+    
+    if (!user || !role) {
+      await revokeSession(session.id);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    const token = signAccessToken({ id: user.id, role: role, name: user.name, tokenVersion: user.token_version }, session.id);
     
-    // Return success response
     res.status(200).json({
-      message: 'Login successful',
+      message: 'Token refreshed',
       token: token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: role
+      refresh_token: rotated.refreshToken,
+      expires_in: JWT_EXPIRES_IN
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    res.status(500).json({ error: 'Internal server error during token refresh' });
+  }
+};
+
+/**
+ * Logout controller
+ * Revokes the current session so its access and refresh tokens stop working
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    
+    // Drop live sockets opened with this session
+    if (socketHandlers) {
+      socketHandlers.disconnectSession(req.user.sid);
+    }
+    
+    res.status(200).json({ message: 'Logout successful' });
+    
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+};
+
+/**
+ * List active sessions (logged-in devices) of the current user
+ * Requires authentication
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+    
+    const processed = sessions.map(session => ({
+      id: session.id,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.created_at,
+      last_seen_at: session.last_seen_at,
+      expires_at: session.expires_at,
+      connected_sockets: socketHandlers ? socketHandlers.getSessionSocketCount(session.id) : 0,
+      is_current: session.id === req.user.sid
+    }));
+    
+    res.status(200).json({
+      count: processed.length,
+      sessions: processed
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions (device)
+ * Requires authentication
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Only sessions owned by the requester can be revoked
+    const session = await getOne(
+      'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await revokeSession(session.id);
+    
+    const disconnected = socketHandlers ? socketHandlers.disconnectSession(session.id) : 0;
+    
+    res.status(200).json({
+      message: 'Session signed out successfully',
+      session_id: session.id,
+      disconnected_sockets: disconnected
+    });
+    
+  } catch (error) {
+    console.error('Delete session error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Change own password
+ * Requires authentication; other sessions are signed out afterwards
+ */
+const changePassword = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { old_password, new_password } = req.body;
+    
+    if (!old_password || !new_password) {
+      return res.status(400).json({ error: 'old_password and new_password are required' });
+    }
+    
+    const user = await getOne('SELECT id, password_hash FROM users WHERE id = ?', [userId]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const isPasswordValid = await bcrypt.compare(String(old_password), user.password_hash);
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Old password is incorrect' });
+    }
+    
+    const strengthError = validatePasswordStrength(new_password);
+    if (strengthError) {
+      return res.status(400).json({ error: strengthError });
+    }
+    
+    if (old_password === new_password) {
+      return res.status(400).json({ error: 'New password must be different from the old password' });
+    }
+    
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    
+    await runQuery(
+      `UPDATE users
+       SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [passwordHash, userId]
+    );
+    
+    // Sign out every other device - the current session stays logged in
+    const otherSessions = await getAll(
+      'SELECT id FROM sessions WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+      [userId, req.user.sid]
+    );
+    
+    for (const session of otherSessions) {
+      await revokeSession(session.id);
+      if (socketHandlers) {
+        socketHandlers.disconnectSession(session.id);
       }
+    }
+    
+    res.status(200).json({
+      message: 'Password changed successfully',
+      revoked_sessions: otherSessions.length
     });
     
   } catch (error) {
-    console.error('Login error:', error.message);
-    res.status(500).json({ error: 'Internal server error during login' });
+    console.error('Change password error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Start 2FA enrollment: generate a secret and QR code for the authenticator app
+ * Requires authentication; 2FA is only active after /auth/2fa/enable
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await getOne('SELECT id, email, totp_enabled FROM users WHERE id = ?', [req.user.id]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const enrollment = await createEnrollment(user.email);
+    
+    // Store as pending secret until confirmed with a valid code
+    await runQuery('UPDATE users SET totp_secret = ? WHERE id = ?', [enrollment.secret, user.id]);
+    
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: enrollment.secret,
+      otpauth_url: enrollment.otpauthUrl,
+      qr_code: enrollment.qrCode
+    });
+    
+  } catch (error) {
+    console.error('Setup two-factor error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code and receive recovery codes
+ * Requires authentication
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    
+    const user = await getOne('SELECT id, totp_secret, totp_enabled FROM users WHERE id = ?', [req.user.id]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Call /auth/2fa/setup first' });
+    }
+    
+    if (!await useTotpCode(user.id, code, user.totp_secret)) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+    
+    await runQuery('UPDATE users SET totp_enabled = 1 WHERE id = ?', [user.id]);
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    
+    await logAuditEvent({ eventType: 'two_factor_enabled', userId: user.id, ipAddress: req.ip || null });
+    
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+      recovery_codes: recoveryCodes
+    });
+    
+  } catch (error) {
+    console.error('Enable two-factor error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ * Not allowed when 2FA is mandatory for the user's role
+ * Requires authentication
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+      return res.status(400).json({ error: 'password and code are required' });
+    }
+    
+    if (await isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for your role' });
+    }
+    
+    const user = await getOne(
+      'SELECT id, password_hash, totp_secret, totp_enabled FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const isPasswordValid = await bcrypt.compare(String(password), user.password_hash);
+    
+    if (!isPasswordValid || !await useTotpCode(user.id, code, user.totp_secret)) {
+      return res.status(401).json({ error: 'Invalid password or two-factor code' });
+    }
+    
+    await runQuery('UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE id = ?', [user.id]);
+    await runQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [user.id]);
+    
+    await logAuditEvent({ eventType: 'two_factor_disabled', userId: user.id, ipAddress: req.ip || null });
+    
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+    
+  } catch (error) {
+    console.error('Disable two-factor error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Replace recovery codes (requires a current code)
+ * Requires authentication
+ */
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    
+    const user = await getOne('SELECT id, totp_secret, totp_enabled FROM users WHERE id = ?', [req.user.id]);
+    
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!await useTotpCode(user.id, code, user.totp_secret)) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    
+    res.status(200).json({
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      recovery_codes: recoveryCodes
+    });
+    
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Forgot password controller
+ * Emails a one-time reset token. Always responds the same way so it cannot be
+ * used to find out which emails are registered.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const sanitizedEmail = String(email).trim().toLowerCase();
+    const ipAddress = req.ip || 'unknown';
+    const genericResponse = {
+      message: 'If the email is registered, a password reset link has been sent'
+    };
+    
+    // Reset requests have their own per-IP limit, separate from the login lockout
+    const retryAfter = takePasswordResetRequest(ipAddress);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests. Try again later',
+        retry_after: retryAfter
+      });
+    }
+    
+    const user = await getOne('SELECT id, name, email FROM users WHERE email = ?', [sanitizedEmail]);
+    
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    // One email per cooldown per account; the answer stays the same so it reveals nothing
+    const recentToken = await getOne(
+      `SELECT id FROM password_reset_tokens 
+       WHERE user_id = ? AND created_at > datetime('now', ?)`,
+      [user.id, `-${PASSWORD_RESET_COOLDOWN_MINUTES} minutes`]
+    );
+    
+    if (recentToken) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    // Only the latest token stays valid
+    await runQuery(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+    
+    await runQuery(
+      `INSERT INTO password_reset_tokens (id, user_id, token_hash, requested_ip, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [generateUUID(), user.id, hashToken(resetToken), req.ip || null, `+${PASSWORD_RESET_EXPIRES_MINUTES} minutes`]
+    );
+    
+    await sendMail({
+      to: user.email,
+      subject: 'MyDosen - Reset Password',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        'We received a request to reset your MyDosen password.',
+        `Open the link below within ${PASSWORD_RESET_EXPIRES_MINUTES} minutes to choose a new password:`,
+        '',
+        `${PASSWORD_RESET_URL}?token=${resetToken}`,
+        '',
+        `Reset token: ${resetToken}`,
+        '',
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+    
+    res.status(200).json(genericResponse);
+    
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Reset password controller
+ * Consumes a reset token, sets the new password and signs out every session
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+    
+    if (!token || !new_password) {
+      return res.status(400).json({ error: 'token and new_password are required' });
+    }
+    
+    const resetToken = await getOne(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(token)]
+    );
+    
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    const strengthError = validatePasswordStrength(new_password);
+    if (strengthError) {
+      return res.status(400).json({ error: strengthError });
+    }
+    
+    // Mark token as used first so it cannot be replayed concurrently
+    const consumed = await runQuery(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [resetToken.id]
+    );
+    
+    if (consumed.changes === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    
+    await runQuery(
+      `UPDATE users
+       SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [passwordHash, resetToken.user_id]
+    );
+    
+    // Whoever knew the old password is signed out everywhere
+    const revokedSessions = await revokeAllSessions(resetToken.user_id);
+    if (socketHandlers) {
+      revokedSessions.forEach(sessionId => socketHandlers.disconnectSession(sessionId));
+    }
+    
+    res.status(200).json({ message: 'Password has been reset. Please login with your new password' });
+    
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 };
 
@@ -98,7 +808,7 @@ const getProfile = async (req, res) => {
     const userId = req.user.id;
     
     const user = await getOne(
-      'SELECT id, name, email, created_at FROM users WHERE id = ?',
+      'SELECT id, name, email, must_change_password, totp_enabled, created_at FROM users WHERE id = ?',
       [userId]
     );
     
@@ -106,6 +816,8 @@ const getProfile = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    const { must_change_password, totp_enabled, ...userData } = user;
+    
     // Get role-specific data
     let profileData = null;
     const role = req.user.role;
@@ -120,9 +832,12 @@ const getProfile = async (req, res) => {
     
     res.status(200).json({
       user: {
-        ...user,
+        ...userData,
         role: role,
-        ...profileData
+        ...profileData,
+        must_change_password: !!must_change_password,
+        two_factor_enabled: !!totp_enabled,
+        recovery_codes_remaining: totp_enabled ? await countRecoveryCodes(userId) : 0
       }
     });
     
@@ -134,5 +849,18 @@ const getProfile = async (req, res) => {
 
 module.exports = {
   login,
-  getProfile
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  getProfile,
+  setSocketHandlers
 };
@@ -0,0 +1,1064 @@
+const { runQuery, getOne, getAll, runTransaction, generateUUID } = require('../config/db');
+const {
+  loadGeofences,
+  reloadGeofences,
+  findZone,
+  findPrivateZone,
+  normalizeGeometry,
+  getGeometryCenter,
+  parseGeofenceRow,
+  parsePrivateZoneRow,
+  toGeoJSONFeature,
+  fromGeoJSONFeature,
+  DEFAULT_PROPERTY_MAPPING,
+  ZONE_TYPES
+} = require('../utils/geofence');
+const { PRIVACY_LEVELS, getMaskedLocation, setMaskedLocation } = require('../utils/privacy');
+const { normalizeSchedule, isValidDate } = require('../utils/schedule');
+const { logAuditEvent } = require('../utils/audit');
+
+// Largest accepted circle radius - anything bigger is almost certainly a typo
+const MAX_RADIUS_KM = 50;
+
+// Maximum features accepted by one GeoJSON import
+const GEOJSON_IMPORT_MAX_FEATURES = 500;
+
+// Maximum private zones per dosen
+const PRIVATE_ZONE_MAX_PER_DOSEN = 10;
+
+/**
+ * Validate and normalize geofence fields
+ * A fence is either a circle (latitude, longitude, radius_km) or a polygon
+ * (GeoJSON Polygon/MultiPolygon in geometry).
+ * @param {Object} body - Request body ({ name, latitude, longitude, radius_km } or { name, geometry })
+ * @param {Object} [existing] - Geofence being updated; only the fields present are validated
+ * @returns {Object} { values } with the normalized fields, or { error }
+ */
+const validateGeofenceFields = (body, existing = null) => {
+  const values = {};
+  
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'name is required' };
+    }
+    values.name = name;
+  }
+  
+  // Optional cap on what is shown of dosen inside the zone (null = dosen's own choice)
+  if (body.privacy_level !== undefined || !existing) {
+    const privacyLevel = body.privacy_level || null;
+    if (privacyLevel !== null && !PRIVACY_LEVELS.includes(privacyLevel)) {
+      return { error: `privacy_level must be one of: ${PRIVACY_LEVELS.join(', ')}` };
+    }
+    values.privacy_level = privacyLevel;
+  }
+  
+  // Optional weekday time windows in which dosen inside the zone are shown (null = always)
+  if (body.schedule !== undefined || !existing) {
+    const { schedule, error } = normalizeSchedule(body.schedule === undefined ? null : body.schedule);
+    if (error) {
+      return { error };
+    }
+    values.schedule = schedule;
+  }
+  
+  const circleFields = ['latitude', 'longitude', 'radius_km'];
+  const hasCircleFields = circleFields.some(field => body[field] !== undefined);
+  
+  // Polygon fence - center is derived from the geometry
+  if (body.geometry !== undefined) {
+    if (hasCircleFields) {
+      return { error: 'Provide either geometry or latitude/longitude/radius_km, not both' };
+    }
+    
+    const { geometry, error } = normalizeGeometry(body.geometry);
+    if (error) {
+      return { error };
+    }
+    
+    const center = getGeometryCenter(geometry);
+    return {
+      values: { ...values, shape: 'polygon', geometry, ...center, radius_km: null }
+    };
+  }
+  
+  // Creating a circle or turning a polygon into one needs all circle fields
+  const turnsIntoCircle = !existing || (existing.shape === 'polygon' && hasCircleFields);
+  
+  if (existing && turnsIntoCircle && !circleFields.every(field => body[field] !== undefined)) {
+    return { error: 'latitude, longitude and radius_km are all required to turn a polygon into a circle' };
+  }
+  
+  const numericFields = [
+    { field: 'latitude', min: -90, max: 90 },
+    { field: 'longitude', min: -180, max: 180 },
+    { field: 'radius_km', min: 0, max: MAX_RADIUS_KM }
+  ];
+  
+  for (const { field, min, max } of numericFields) {
+    if (body[field] === undefined && !turnsIntoCircle) {
+      continue;
+    }
+    
+    const value = Number(body[field]);
+    if (body[field] === null || body[field] === '' || !Number.isFinite(value)) {
+      return { error: `${field} must be a number` };
+    }
+    
+    if (value < min || value > max) {
+      return { error: `${field} must be between ${min} and ${max}` };
+    }
+    
+    if (field === 'radius_km' && value === 0) {
+      return { error: 'radius_km must be greater than 0' };
+    }
+    
+    values[field] = value;
+  }
+  
+  if (turnsIntoCircle) {
+    values.shape = 'circle';
+    values.geometry = null;
+  }
+  
+  return { values };
+};
+
+/**
+ * Validate zone_type and parent_id (campus -> building -> room)
+ * The zone type defaults to one level below the parent (campus without a parent).
+ * @param {Object} body - Request body ({ zone_type, parent_id })
+ * @param {Object} [existing] - Geofence being updated
+ * @returns {Promise<Object>} { values } with zone_type/parent_id, or { error }
+ */
+const validateZoneFields = async (body, existing = null) => {
+  if (existing && body.zone_type === undefined && body.parent_id === undefined) {
+    return { values: {} };
+  }
+  
+  const parentId = body.parent_id !== undefined ? body.parent_id || null : (existing ? existing.parent_id : null);
+  
+  let parent = null;
+  if (parentId) {
+    if (existing && parentId === existing.id) {
+      return { error: 'A zone cannot be its own parent' };
+    }
+    
+    parent = await getOne('SELECT id, zone_type FROM geofences WHERE id = ?', [parentId]);
+    if (!parent) {
+      return { error: 'Parent zone not found' };
+    }
+  }
+  
+  const parentLevel = parent ? ZONE_TYPES.indexOf(parent.zone_type || 'campus') : -1;
+  const expectedType = ZONE_TYPES[parentLevel + 1];
+  
+  if (!expectedType) {
+    return { error: 'A room cannot contain other zones' };
+  }
+  
+  // Infer the type from the (new) parent unless it is given explicitly
+  let zoneType = body.zone_type;
+  if (zoneType === undefined) {
+    zoneType = body.parent_id !== undefined || !existing ? expectedType : existing.zone_type;
+  }
+  
+  if (!ZONE_TYPES.includes(zoneType)) {
+    return { error: `zone_type must be one of: ${ZONE_TYPES.join(', ')}` };
+  }
+  
+  if (zoneType !== expectedType) {
+    const requiredParent = ZONE_TYPES[ZONE_TYPES.indexOf(zoneType) - 1];
+    return {
+      error: requiredParent
+        ? `A ${zoneType} must have a ${requiredParent} as parent_id`
+        : 'A campus cannot have a parent zone'
+    };
+  }
+  
+  // Children were validated against the current type
+  if (existing && zoneType !== existing.zone_type) {
+    const child = await getOne('SELECT id FROM geofences WHERE parent_id = ?', [existing.id]);
+    if (child) {
+      return { error: 'Cannot change the zone type of a zone that contains other zones' };
+    }
+  }
+  
+  return { values: { zone_type: zoneType, parent_id: parentId } };
+};
+
+/**
+ * Check whether another geofence already uses a name (case-insensitive)
+ * @param {string} name - Geofence name
+ * @param {string} [excludeId] - Geofence being updated
+ * @returns {Promise<boolean>} Whether the name is taken
+ */
+const isNameTaken = async (name, excludeId = null) => {
+  const existing = await getOne(
+    'SELECT id FROM geofences WHERE LOWER(name) = LOWER(?) AND id != ?',
+    [name, excludeId || '']
+  );
+  return !!existing;
+};
+
+/**
+ * Get all geofences
+ * Admin only endpoint
+ */
+const getGeofences = async (req, res) => {
+  try {
+    const geofences = await getAll('SELECT * FROM geofences ORDER BY name');
+    
+    res.status(200).json({
+      count: geofences.length,
+      geofences: geofences.map(parseGeofenceRow)
+    });
+    
+  } catch (error) {
+    console.error('Get geofences error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a geofence by ID
+ * Admin only endpoint
+ */
+const getGeofence = async (req, res) => {
+  try {
+    const geofence = await getOne('SELECT * FROM geofences WHERE id = ?', [req.params.id]);
+    
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    
+    res.status(200).json({ geofence: parseGeofenceRow(geofence) });
+    
+  } catch (error) {
+    console.error('Get geofence error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Store a geofence row (insert or full update)
+ * @param {Object} geofence - { id, name, latitude, longitude, radius_km, shape, geometry, zone_type, parent_id, privacy_level }
+ * @param {boolean} isNew - Insert instead of update
+ */
+const saveGeofence = async (geofence, isNew) => {
+  const params = [
+    geofence.name,
+    geofence.latitude,
+    geofence.longitude,
+    geofence.radius_km,
+    geofence.shape,
+    geofence.geometry ? JSON.stringify(geofence.geometry) : null,
+    geofence.zone_type,
+    geofence.parent_id,
+    geofence.privacy_level || null,
+    geofence.schedule ? JSON.stringify(geofence.schedule) : null,
+    geofence.id
+  ];
+  
+  if (isNew) {
+    await runQuery(
+      `INSERT INTO geofences (name, latitude, longitude, radius_km, shape, geometry, zone_type, parent_id, privacy_level,
+                              schedule, id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params
+    );
+  } else {
+    await runQuery(
+      `UPDATE geofences
+       SET name = ?, latitude = ?, longitude = ?, radius_km = ?, shape = ?, geometry = ?, zone_type = ?, parent_id = ?,
+           privacy_level = ?, schedule = ?
+       WHERE id = ?`,
+      params
+    );
+  }
+};
+
+/**
+ * Create a geofence (circle or polygon)
+ * Admin only endpoint
+ */
+const createGeofence = async (req, res) => {
+  try {
+    const { values, error } = validateGeofenceFields(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const zone = await validateZoneFields(req.body);
+    
+    if (zone.error) {
+      return res.status(400).json({ error: zone.error });
+    }
+    
+    if (await isNameTaken(values.name)) {
+      return res.status(409).json({ error: 'A geofence with this name already exists' });
+    }
+    
+    const geofence = { id: generateUUID(), ...values, ...zone.values };
+    await saveGeofence(geofence, true);
+    
+    // Location checks pick up the change immediately
+    reloadGeofences();
+    
+    await logAuditEvent({
+      eventType: 'geofence_created',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { geofence_id: geofence.id, name: geofence.name, shape: geofence.shape, zone_type: geofence.zone_type }
+    });
+    
+    res.status(201).json({
+      message: 'Geofence created successfully',
+      geofence
+    });
+    
+  } catch (error) {
+    console.error('Create geofence error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Update a geofence (only the fields present in the body are changed)
+ * Admin only endpoint
+ */
+const updateGeofence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const row = await getOne('SELECT * FROM geofences WHERE id = ?', [id]);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    
+    const geofence = parseGeofenceRow(row);
+    const { values, error } = validateGeofenceFields(req.body, geofence);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const zone = await validateZoneFields(req.body, geofence);
+    
+    if (zone.error) {
+      return res.status(400).json({ error: zone.error });
+    }
+    
+    Object.assign(values, zone.values);
+    
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'At least one of name, latitude, longitude, radius_km, geometry, zone_type, parent_id, privacy_level or schedule is required'
+      });
+    }
+    
+    if (values.name && await isNameTaken(values.name, id)) {
+      return res.status(409).json({ error: 'A geofence with this name already exists' });
+    }
+    
+    const updated = { ...geofence, ...values };
+    await saveGeofence(updated, false);
+    
+    reloadGeofences();
+    
+    await logAuditEvent({
+      eventType: 'geofence_updated',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: {
+        geofence_id: id,
+        name: updated.name,
+        shape: updated.shape,
+        changed_fields: Object.keys(req.body).filter(field => values[field] !== undefined)
+      }
+    });
+    
+    res.status(200).json({
+      message: 'Geofence updated successfully',
+      geofence: updated
+    });
+    
+  } catch (error) {
+    console.error('Update geofence error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete a geofence
+ * Admin only endpoint
+ */
+const deleteGeofence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const geofence = await getOne('SELECT * FROM geofences WHERE id = ?', [id]);
+    
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    
+    const child = await getOne('SELECT id FROM geofences WHERE parent_id = ?', [id]);
+    
+    if (child) {
+      return res.status(409).json({ error: 'Geofence contains other zones. Delete or move them first' });
+    }
+    
+    await runQuery('DELETE FROM geofences WHERE id = ?', [id]);
+    
+    reloadGeofences();
+    
+    await logAuditEvent({
+      eventType: 'geofence_deleted',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { geofence_id: id, name: geofence.name, shape: geofence.shape || 'circle' }
+    });
+    
+    res.status(200).json({
+      message: 'Geofence deleted successfully',
+      deleted_geofence_id: id
+    });
+    
+  } catch (error) {
+    console.error('Delete geofence error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Export all geofences as a GeoJSON FeatureCollection
+ * Circles are exported as Points with a radius_km property
+ * Admin only endpoint
+ */
+const exportGeofences = async (req, res) => {
+  try {
+    const geofences = (await getAll('SELECT * FROM geofences ORDER BY name')).map(parseGeofenceRow);
+    const geofencesById = new Map(geofences.map(geofence => [geofence.id, geofence]));
+    
+    const features = geofences.map(geofence => {
+      const parent = geofence.parent_id ? geofencesById.get(geofence.parent_id) : null;
+      return toGeoJSONFeature(geofence, parent ? parent.name : null);
+    });
+    
+    res.set('Content-Type', 'application/geo+json');
+    res.status(200).json({
+      type: 'FeatureCollection',
+      features
+    });
+    
+  } catch (error) {
+    console.error('Export geofences error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Import geofences from a GeoJSON FeatureCollection
+ * Features whose name matches an existing geofence (case-insensitive) update it, others are created.
+ * Property names can be mapped with name_property, radius_property, parent_property and
+ * zone_type_property. Nothing is imported unless every feature is valid; dry_run=true only
+ * returns the validation report.
+ * Admin only endpoint
+ */
+const importGeofences = async (req, res) => {
+  try {
+    const collection = req.body;
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run));
+    const mapping = {
+      name: req.query.name_property || DEFAULT_PROPERTY_MAPPING.name,
+      radius: req.query.radius_property || DEFAULT_PROPERTY_MAPPING.radius,
+      parent: req.query.parent_property || DEFAULT_PROPERTY_MAPPING.parent,
+      zoneType: req.query.zone_type_property || DEFAULT_PROPERTY_MAPPING.zoneType
+    };
+    
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      return res.status(400).json({ error: 'Body must be a GeoJSON FeatureCollection' });
+    }
+    
+    if (collection.features.length === 0) {
+      return res.status(400).json({ error: 'FeatureCollection contains no features' });
+    }
+    
+    if (collection.features.length > GEOJSON_IMPORT_MAX_FEATURES) {
+      return res.status(400).json({ 
+        error: `FeatureCollection may contain at most ${GEOJSON_IMPORT_MAX_FEATURES} features` 
+      });
+    }
+    
+    const existing = (await getAll('SELECT * FROM geofences')).map(parseGeofenceRow);
+    const existingById = new Map(existing.map(geofence => [geofence.id, geofence]));
+    const existingByName = new Map(existing.map(geofence => [geofence.name.toLowerCase(), geofence]));
+    
+    // Every known zone by lowercase name - features override stored fences of the same name
+    const zonesByName = new Map(existing.map(geofence => {
+      const parent = geofence.parent_id ? existingById.get(geofence.parent_id) : null;
+      return [geofence.name.toLowerCase(), { id: geofence.id, parentName: parent ? parent.name : null }];
+    }));
+    
+    // Read and validate each feature on its own
+    const seenNames = new Map();
+    const entries = collection.features.map((feature, index) => {
+      const entry = { index, name: null, errors: [] };
+      const parsed = fromGeoJSONFeature(feature, mapping);
+      entry.name = parsed.name || null;
+      
+      if (parsed.error) {
+        entry.errors.push(parsed.error);
+        return entry;
+      }
+      
+      const key = parsed.name.toLowerCase();
+      if (seenNames.has(key)) {
+        entry.errors.push(`Name duplicated in feature ${seenNames.get(key)}`);
+        return entry;
+      }
+      seenNames.set(key, index);
+      
+      const { values, error } = validateGeofenceFields(parsed.fields);
+      if (error) {
+        entry.errors.push(error);
+      }
+      
+      entry.values = values;
+      entry.parentName = parsed.parentName;
+      entry.zoneType = parsed.zoneType;
+      entry.existing = existingByName.get(key) || null;
+      for (const field of ['privacy_level', 'schedule']) {
+        if (entry.existing && parsed.fields[field] === undefined && values) {
+          values[field] = entry.existing[field];
+        }
+      }
+      entry.id = entry.existing ? entry.existing.id : generateUUID();
+      zonesByName.set(key, { id: entry.id, parentName: parsed.parentName });
+      
+      return entry;
+    });
+    
+    // Resolve parents by name and check the campus -> building -> room nesting
+    for (const entry of entries) {
+      if (entry.errors.length > 0) {
+        continue;
+      }
+      
+      let depth = 0;
+      let cycle = false;
+      const visited = new Set([entry.name.toLowerCase()]);
+      let parentName = entry.parentName;
+      
+      while (parentName) {
+        const parentKey = parentName.toLowerCase();
+        if (!zonesByName.has(parentKey)) {
+          entry.errors.push(`Parent zone "${parentName}" not found`);
+          break;
+        }
+        if (visited.has(parentKey)) {
+          cycle = true;
+          break;
+        }
+        visited.add(parentKey);
+        depth++;
+        parentName = zonesByName.get(parentKey).parentName;
+      }
+      
+      if (cycle) {
+        entry.errors.push('Parent zones form a cycle');
+      }
+      if (entry.errors.length > 0) {
+        continue;
+      }
+      
+      const zoneType = ZONE_TYPES[depth];
+      if (!zoneType) {
+        entry.errors.push('Zones can only be nested campus > building > room');
+        continue;
+      }
+      if (entry.zoneType && entry.zoneType !== zoneType) {
+        entry.errors.push(`zone_type "${entry.zoneType}" does not match its parents (expected ${zoneType})`);
+        continue;
+      }
+      if (entry.existing && entry.existing.zone_type !== zoneType &&
+          existing.some(geofence => geofence.parent_id === entry.existing.id)) {
+        entry.errors.push('Cannot change the zone type of a zone that contains other zones');
+        continue;
+      }
+      
+      entry.values.zone_type = zoneType;
+      entry.values.parent_id = entry.parentName ? zonesByName.get(entry.parentName.toLowerCase()).id : null;
+    }
+    
+    const features = entries.map(entry => ({
+      feature: entry.index,
+      name: entry.name,
+      action: entry.existing ? 'update' : 'create',
+      valid: entry.errors.length === 0,
+      errors: entry.errors
+    }));
+    
+    const invalidFeatures = features.filter(feature => !feature.valid).length;
+    const report = {
+      dry_run: dryRun,
+      total_features: features.length,
+      valid_features: features.length - invalidFeatures,
+      invalid_features: invalidFeatures,
+      features
+    };
+    
+    if (dryRun) {
+      return res.status(200).json({ message: 'Dry run completed, nothing was imported', ...report });
+    }
+    
+    if (invalidFeatures > 0) {
+      return res.status(400).json({ error: 'GeoJSON contains invalid features, nothing was imported', ...report });
+    }
+    
+    await runTransaction(async () => {
+      for (const entry of entries) {
+        await saveGeofence({ id: entry.id, ...entry.values }, !entry.existing);
+      }
+    });
+    
+    reloadGeofences();
+    
+    const created = entries.filter(entry => !entry.existing).length;
+    const updated = entries.length - created;
+    
+    await logAuditEvent({
+      eventType: 'geofences_imported',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { created, updated }
+    });
+    
+    res.status(200).json({
+      message: 'Geofences imported successfully',
+      created,
+      updated,
+      features: entries.map(entry => ({
+        feature: entry.index,
+        id: entry.id,
+        name: entry.name,
+        action: entry.existing ? 'update' : 'create'
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Import geofences error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the point and label shown for dosen outside all geofences
+ * Admin only endpoint
+ */
+const getMaskedLocationSetting = async (req, res) => {
+  try {
+    const masked = await getMaskedLocation();
+    
+    res.status(200).json({
+      latitude: masked.latitude,
+      longitude: masked.longitude,
+      location_name: masked.locationName
+    });
+    
+  } catch (error) {
+    console.error('Get masked location error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Set the point and label shown for dosen outside all geofences
+ * Admin only endpoint
+ */
+const updateMaskedLocationSetting = async (req, res) => {
+  try {
+    const { latitude, longitude, location_name } = req.body;
+    
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+        !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      return res.status(400).json({ 
+        error: 'latitude (-90..90) and longitude (-180..180) are required numbers' 
+      });
+    }
+    
+    const locationName = typeof location_name === 'string' ? location_name.trim() : '';
+    if (!locationName || locationName.length > 100) {
+      return res.status(400).json({ error: 'location_name is required (max 100 characters)' });
+    }
+    
+    // A masked point inside a zone would be reported as that zone when it is checked again
+    const index = await loadGeofences();
+    const insidePrivateZone = [...index.privateZonesByDosen.keys()]
+      .some(dosenId => findPrivateZone(index, dosenId, latitude, longitude));
+    
+    if (findZone(index, latitude, longitude) || insidePrivateZone) {
+      return res.status(400).json({ 
+        error: 'The masked location must lie outside all geofences and private zones' 
+      });
+    }
+    
+    await setMaskedLocation({ latitude, longitude, locationName });
+    
+    await logAuditEvent({
+      eventType: 'masked_location_changed',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { latitude, longitude, location_name: locationName }
+    });
+    
+    res.status(200).json({
+      message: 'Masked location updated',
+      latitude,
+      longitude,
+      location_name: locationName
+    });
+    
+  } catch (error) {
+    console.error('Update masked location error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the holiday calendar (optionally one year)
+ * Admin only endpoint
+ */
+const getHolidays = async (req, res) => {
+  try {
+    const { year } = req.query;
+    
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'year must be a 4-digit year' });
+    }
+    
+    const holidays = year
+      ? await getAll('SELECT * FROM holidays WHERE date LIKE ? ORDER BY date', [`${year}-%`])
+      : await getAll('SELECT * FROM holidays ORDER BY date');
+    
+    res.status(200).json({
+      count: holidays.length,
+      holidays
+    });
+    
+  } catch (error) {
+    console.error('Get holidays error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Add a holiday - scheduled geofences are inactive all day
+ * Admin only endpoint
+ */
+const createHoliday = async (req, res) => {
+  try {
+    const { date } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+    
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+    }
+    
+    const existing = await getOne('SELECT id FROM holidays WHERE date = ?', [date]);
+    if (existing) {
+      return res.status(409).json({ error: 'A holiday already exists on this date' });
+    }
+    
+    const holiday = { id: generateUUID(), date, name };
+    await runQuery(
+      'INSERT INTO holidays (id, date, name) VALUES (?, ?, ?)',
+      [holiday.id, holiday.date, holiday.name]
+    );
+    
+    reloadGeofences();
+    
+    await logAuditEvent({
+      eventType: 'holiday_created',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { date, name }
+    });
+    
+    res.status(201).json({
+      message: 'Holiday created successfully',
+      holiday
+    });
+    
+  } catch (error) {
+    console.error('Create holiday error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Remove a holiday
+ * Admin only endpoint
+ */
+const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await getOne('SELECT * FROM holidays WHERE id = ?', [req.params.id]);
+    
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    
+    await runQuery('DELETE FROM holidays WHERE id = ?', [holiday.id]);
+    
+    reloadGeofences();
+    
+    await logAuditEvent({
+      eventType: 'holiday_deleted',
+      actorId: req.user.id,
+      ipAddress: req.ip || null,
+      details: { date: holiday.date, name: holiday.name }
+    });
+    
+    res.status(200).json({
+      message: 'Holiday deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete holiday error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Validate the label of a private zone (null = report the masked location name)
+ * @param {*} label - Label from the request body
+ * @returns {Object} { label } or { error }
+ */
+const validatePrivateZoneLabel = (label) => {
+  if (label === undefined || label === null || label === '') {
+    return { label: null };
+  }
+  
+  if (typeof label !== 'string' || !label.trim() || label.trim().length > 100) {
+    return { error: 'label must be a string of at most 100 characters' };
+  }
+  
+  return { label: label.trim() };
+};
+
+/**
+ * Store a private zone row (insert or full update)
+ * @param {Object} zone - { id, dosen_id, name, label, latitude, longitude, radius_km, shape, geometry }
+ * @param {boolean} isNew - Insert instead of update
+ */
+const savePrivateZone = async (zone, isNew) => {
+  const params = [
+    zone.name,
+    zone.label,
+    zone.latitude,
+    zone.longitude,
+    zone.radius_km,
+    zone.shape,
+    zone.geometry ? JSON.stringify(zone.geometry) : null,
+    zone.id,
+    zone.dosen_id
+  ];
+  
+  if (isNew) {
+    await runQuery(
+      `INSERT INTO private_zones (name, label, latitude, longitude, radius_km, shape, geometry, id, dosen_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params
+    );
+  } else {
+    await runQuery(
+      `UPDATE private_zones
+       SET name = ?, label = ?, latitude = ?, longitude = ?, radius_km = ?, shape = ?, geometry = ?
+       WHERE id = ? AND dosen_id = ?`,
+      params
+    );
+  }
+};
+
+/**
+ * Get the private zones of the logged in dosen
+ * Dosen only endpoint
+ */
+const getPrivateZones = async (req, res) => {
+  try {
+    const zones = await getAll(
+      'SELECT * FROM private_zones WHERE dosen_id = ? ORDER BY name',
+      [req.user.id]
+    );
+    
+    res.status(200).json({
+      count: zones.length,
+      private_zones: zones.map(parsePrivateZoneRow)
+    });
+    
+  } catch (error) {
+    console.error('Get private zones error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a private zone (circle or polygon) for the logged in dosen
+ * Dosen only endpoint
+ */
+const createPrivateZone = async (req, res) => {
+  try {
+    const { values, error } = validateGeofenceFields(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { label, error: labelError } = validatePrivateZoneLabel(req.body.label);
+    
+    if (labelError) {
+      return res.status(400).json({ error: labelError });
+    }
+    
+    const countRow = await getOne(
+      'SELECT COUNT(*) as count FROM private_zones WHERE dosen_id = ?',
+      [req.user.id]
+    );
+    
+    if (countRow.count >= PRIVATE_ZONE_MAX_PER_DOSEN) {
+      return res.status(400).json({ 
+        error: `You can have at most ${PRIVATE_ZONE_MAX_PER_DOSEN} private zones` 
+      });
+    }
+    
+    // privacy_level and schedule only apply to campus geofences
+    delete values.privacy_level;
+    delete values.schedule;
+    const zone = { id: generateUUID(), dosen_id: req.user.id, ...values, label };
+    await savePrivateZone(zone, true);
+    
+    // Location checks pick up the change immediately
+    reloadGeofences();
+    
+    res.status(201).json({
+      message: 'Private zone created successfully',
+      private_zone: zone
+    });
+    
+  } catch (error) {
+    console.error('Create private zone error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Update a private zone of the logged in dosen (only the fields present in the body are changed)
+ * Dosen only endpoint
+ */
+const updatePrivateZone = async (req, res) => {
+  try {
+    const row = await getOne(
+      'SELECT * FROM private_zones WHERE id = ? AND dosen_id = ?',
+      [req.params.id, req.user.id]
+    );
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Private zone not found' });
+    }
+    
+    const zone = parsePrivateZoneRow(row);
+    const { values, error } = validateGeofenceFields(req.body, zone);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (req.body.label !== undefined) {
+      const { label, error: labelError } = validatePrivateZoneLabel(req.body.label);
+      
+      if (labelError) {
+        return res.status(400).json({ error: labelError });
+      }
+      
+      values.label = label;
+    }
+    
+    // privacy_level and schedule only apply to campus geofences
+    delete values.privacy_level;
+    delete values.schedule;
+    
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'At least one of name, label, latitude, longitude, radius_km or geometry is required'
+      });
+    }
+    
+    const updated = { ...zone, ...values };
+    await savePrivateZone(updated, false);
+    
+    reloadGeofences();
+    
+    res.status(200).json({
+      message: 'Private zone updated successfully',
+      private_zone: updated
+    });
+    
+  } catch (error) {
+    console.error('Update private zone error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete a private zone of the logged in dosen
+ * Dosen only endpoint
+ */
+const deletePrivateZone = async (req, res) => {
+  try {
+    const result = await runQuery(
+      'DELETE FROM private_zones WHERE id = ? AND dosen_id = ?',
+      [req.params.id, req.user.id]
+    );
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Private zone not found' });
+    }
+    
+    reloadGeofences();
+    
+    res.status(200).json({
+      message: 'Private zone deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete private zone error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getGeofences,
+  getGeofence,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence,
+  exportGeofences,
+  importGeofences,
+  getMaskedLocationSetting,
+  updateMaskedLocationSetting,
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+  getPrivateZones,
+  createPrivateZone,
+  updatePrivateZone,
+  deletePrivateZone
+};
@@ -1,5 +1,15 @@
-const { runQuery, getOne, getAll, generateUUID } = require('../config/db');
-const { checkGeofence } = require('../utils/geofence');
+const { runQuery, getOne, getAll, runTransaction, generateUUID } = require('../config/db');
+const { describeStoredLocation } = require('../utils/geofence');
+const { PRIVACY_LEVELS, reloadDosenPrivacyLevel } = require('../utils/privacy');
+const {
+  MAX_SUSPEND_DAYS,
+  REREQUEST_COOLDOWN_DAYS,
+  effectiveStatusSql,
+  activePermissionSql,
+  validateReason,
+  normalizeExpiresAt,
+  recordPermissionChange
+} = require('../utils/permissions');
 
 // Import socket manager for online status (will be set from server.js)
 let getOnlineStatus = null;
@@ -12,8 +22,21 @@ const setOnlineStatusGetter = (getter) => {
   getOnlineStatus = getter;
 };
 
+let socketHandlers = null;
+
+/**
+ * Set the socket manager hooks ({ revokeTrackingAccess, resumeTrackingAccess })
+ * Called during server initialization
+ */
+const setSocketHandlers = (handlers) => {
+  socketHandlers = handlers;
+};
+
 /**
  * Request tracking access to a Dosen
+ * Body: { lecturer_id, message? } - message tells the dosen why access is needed
+ * Withdrawn requests can be submitted again at once, rejected ones after
+ * REREQUEST_COOLDOWN_DAYS.
  * Mahasiswa only endpoint
  */
 const requestAccess = async (req, res) => {
@@ -26,6 +49,12 @@ const requestAccess = async (req, res) => {
       return res.status(400).json({ error: 'lecturer_id is required' });
     }
     
+    const { reason: message, error } = validateReason(req.body.message, 'message');
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
     // Verify the requester is a mahasiswa
     const studentProfile = await getOne(
       'SELECT user_id FROM mahasiswa WHERE user_id = ?',
@@ -47,11 +76,57 @@ const requestAccess = async (req, res) => {
     }
     
     // Check if request already exists
+    const cooldown = `+${REREQUEST_COOLDOWN_DAYS} days`;
     const existingRequest = await getOne(
-      'SELECT id, status FROM tracking_permissions WHERE student_id = ? AND lecturer_id = ?',
-      [studentId, lecturer_id]
+      `SELECT 
+         id, 
+         ${effectiveStatusSql()} as status,
+         datetime(COALESCE(updated_at, created_at), ?) as rerequest_allowed_at,
+         datetime(COALESCE(updated_at, created_at), ?) <= CURRENT_TIMESTAMP as cooldown_over
+       FROM tracking_permissions 
+       WHERE student_id = ? AND lecturer_id = ?`,
+      [cooldown, cooldown, studentId, lecturer_id]
     );
     
+    if (existingRequest && existingRequest.status === 'rejected' && !existingRequest.cooldown_over) {
+      return res.status(409).json({ 
+        error: 'Request was rejected. You can request again after the cooldown',
+        status: existingRequest.status,
+        permission_id: existingRequest.id,
+        rerequest_allowed_at: existingRequest.rerequest_allowed_at
+      });
+    }
+    
+    // A withdrawn or (after the cooldown) rejected request can be submitted again
+    if (existingRequest && ['withdrawn', 'rejected'].includes(existingRequest.status)) {
+      await runTransaction(async () => {
+        await runQuery(
+          `UPDATE tracking_permissions 
+           SET status = 'pending', request_message = ?, status_reason = NULL, suspended_until = NULL, 
+               expires_at = NULL, renewal_requested_at = NULL, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ?`,
+          [message, existingRequest.id]
+        );
+        await recordPermissionChange(existingRequest.id, {
+          action: 'requested', status: 'pending', reason: message, actorId: studentId
+        });
+      });
+      
+      return res.status(201).json({
+        message: 'Access request submitted successfully',
+        permission_id: existingRequest.id,
+        lecturer_name: lecturer.name
+      });
+    }
+    
+    if (existingRequest && existingRequest.status === 'expired') {
+      return res.status(409).json({ 
+        error: 'Permission expired. Request a renewal instead',
+        status: existingRequest.status,
+        permission_id: existingRequest.id
+      });
+    }
+    
     if (existingRequest) {
       return res.status(409).json({ 
         error: 'Request already exists',
@@ -62,10 +137,15 @@ const requestAccess = async (req, res) => {
     
     // Create new pending request
     const permissionId = generateUUID();
-    await runQuery(
-      'INSERT INTO tracking_permissions (id, student_id, lecturer_id, status) VALUES (?, ?, ?, ?)',
-      [permissionId, studentId, lecturer_id, 'pending']
-    );
+    await runTransaction(async () => {
+      await runQuery(
+        'INSERT INTO tracking_permissions (id, student_id, lecturer_id, status, request_message) VALUES (?, ?, ?, ?, ?)',
+        [permissionId, studentId, lecturer_id, 'pending', message]
+      );
+      await recordPermissionChange(permissionId, {
+        action: 'requested', status: 'pending', reason: message, actorId: studentId
+      });
+    });
     
     res.status(201).json({
       message: 'Access request submitted successfully',
@@ -80,7 +160,7 @@ const requestAccess = async (req, res) => {
 };
 
 /**
- * Get pending tracking requests for a Dosen
+ * Get pending tracking requests for a Dosen, including renewal requests
  * Dosen only endpoint
  */
 const getPendingRequests = async (req, res) => {
@@ -102,7 +182,10 @@ const getPendingRequests = async (req, res) => {
       SELECT 
         tp.id,
         tp.student_id,
-        tp.status,
+        ${effectiveStatusSql('tp')} as status,
+        tp.request_message,
+        tp.expires_at,
+        tp.renewal_requested_at,
         tp.created_at,
         u.name as student_name,
         u.email as student_email,
@@ -110,13 +193,16 @@ const getPendingRequests = async (req, res) => {
       FROM tracking_permissions tp
       JOIN users u ON tp.student_id = u.id
       JOIN mahasiswa m ON tp.student_id = m.user_id
-      WHERE tp.lecturer_id = ? AND tp.status = 'pending'
-      ORDER BY tp.created_at DESC
+      WHERE tp.lecturer_id = ? AND (tp.status = 'pending' OR tp.renewal_requested_at IS NOT NULL)
+      ORDER BY COALESCE(tp.renewal_requested_at, tp.created_at) DESC
     `, [lecturerId]);
     
     res.status(200).json({
       count: requests.length,
-      requests: requests
+      requests: requests.map(request => ({
+        ...request,
+        is_renewal: request.renewal_requested_at !== null
+      }))
     });
     
   } catch (error) {
@@ -127,6 +213,12 @@ const getPendingRequests = async (req, res) => {
 
 /**
  * Handle tracking request (approve or reject)
+ * Body: { permission_id, action, expires_at?, reason? } - expires_at limits an approval in time,
+ * reason explains a rejection to the mahasiswa
+ * Only pending requests and pending renewals can be handled; approved permissions are
+ * ended with revoke. When a renewal is pending the action answers the renewal: approving
+ * it (expires_at required) only moves expires_at and keeps a suspension, rejecting it keeps
+ * the current permission until it expires.
  * Dosen only endpoint
  */
 const handleRequest = async (req, res) => {
@@ -145,9 +237,21 @@ const handleRequest = async (req, res) => {
       return res.status(400).json({ error: 'Invalid action. Must be: approved or rejected' });
     }
     
+    const expiry = normalizeExpiresAt(action === 'approved' ? req.body.expires_at : null);
+    
+    if (expiry.error) {
+      return res.status(400).json({ error: expiry.error });
+    }
+    
+    const { reason, error } = validateReason(action === 'rejected' ? req.body.reason : null);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
     // Get the permission request
     const permission = await getOne(
-      'SELECT * FROM tracking_permissions WHERE id = ?',
+      `SELECT *, ${effectiveStatusSql()} as effective_status FROM tracking_permissions WHERE id = ?`,
       [permission_id]
     );
     
@@ -160,16 +264,86 @@ const handleRequest = async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to handle this request' });
     }
     
-    // Update the permission status
-    await runQuery(
-      'UPDATE tracking_permissions SET status = ? WHERE id = ?',
-      [action, permission_id]
-    );
+    if (permission.status === 'withdrawn') {
+      return res.status(409).json({ error: 'Request was withdrawn by the mahasiswa' });
+    }
+    
+    const isRenewal = permission.renewal_requested_at !== null;
+    
+    if (!isRenewal && permission.effective_status !== 'pending') {
+      return res.status(409).json({ 
+        error: 'Only pending requests and renewals can be approved or rejected',
+        status: permission.effective_status
+      });
+    }
+    
+    if (isRenewal && action === 'approved' && !expiry.expiresAt) {
+      return res.status(400).json({ error: 'expires_at is required when approving a renewal' });
+    }
+    
+    // Renewals keep the status (and any suspension); only an expired one becomes approved again.
+    // updated_at only moves with the status, since the re-request cooldown counts from it.
+    // Every write is conditional on the state read above, so a concurrent decision or
+    // withdrawal makes this one fail instead of both succeeding.
+    const current = await runTransaction(async () => {
+      let result;
+      if (!isRenewal) {
+        result = await runQuery(
+          `UPDATE tracking_permissions 
+           SET status = ?, status_reason = ?, suspended_until = NULL, expires_at = ?, 
+               renewal_requested_at = NULL, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ? AND status = ? AND renewal_requested_at IS NULL`,
+          [action, reason, expiry.expiresAt, permission_id, permission.status]
+        );
+      } else if (action === 'approved') {
+        result = await runQuery(
+          `UPDATE tracking_permissions 
+           SET status = ?, expires_at = ?, renewal_requested_at = NULL,
+               updated_at = CASE WHEN status = 'expired' THEN CURRENT_TIMESTAMP ELSE updated_at END 
+           WHERE id = ? AND status = ? AND renewal_requested_at IS NOT NULL`,
+          [
+            permission.status === 'expired' ? 'approved' : permission.status,
+            expiry.expiresAt,
+            permission_id,
+            permission.status
+          ]
+        );
+      } else {
+        result = await runQuery(
+          `UPDATE tracking_permissions 
+           SET renewal_requested_at = NULL, status_reason = ? 
+           WHERE id = ? AND status = ? AND renewal_requested_at IS NOT NULL`,
+          [reason, permission_id, permission.status]
+        );
+      }
+      
+      if (result.changes === 0) {
+        return null;
+      }
+      
+      const updated = await getOne(
+        `SELECT ${effectiveStatusSql()} as status, expires_at FROM tracking_permissions WHERE id = ?`,
+        [permission_id]
+      );
+      await recordPermissionChange(permission_id, {
+        action: isRenewal ? `renewal_${action}` : action,
+        status: updated.status,
+        reason,
+        actorId: lecturerId
+      });
+      return updated;
+    });
+    
+    if (!current) {
+      return res.status(409).json({ error: 'Request was changed in the meantime. Reload and try again' });
+    }
     
     res.status(200).json({
-      message: `Request ${action} successfully`,
+      message: `${isRenewal ? 'Renewal' : 'Request'} ${action} successfully`,
       permission_id: permission_id,
-      new_status: action
+      new_status: current.status,
+      expires_at: current.expires_at,
+      reason
     });
     
   } catch (error) {
@@ -196,12 +370,16 @@ const getAllowedMahasiswa = async (req, res) => {
       return res.status(403).json({ error: 'Only dosen can view allowed mahasiswa' });
     }
 
-    // Get approved students with their info
+    // Get approved and suspended students with their info
     const students = await getAll(`
       SELECT
         tp.id,
         tp.student_id,
-        tp.status,
+        ${effectiveStatusSql('tp')} as status,
+        tp.status_reason,
+        tp.suspended_until,
+        tp.expires_at,
+        tp.renewal_requested_at,
         tp.created_at,
         u.name as student_name,
         u.email as student_email,
@@ -209,7 +387,7 @@ const getAllowedMahasiswa = async (req, res) => {
       FROM tracking_permissions tp
       JOIN users u ON tp.student_id = u.id
       JOIN mahasiswa m ON tp.student_id = m.user_id
-      WHERE tp.lecturer_id = ? AND tp.status = 'approved'
+      WHERE tp.lecturer_id = ? AND ${effectiveStatusSql('tp')} IN ('approved', 'suspended')
       ORDER BY tp.created_at DESC
     `, [lecturerId]);
 
@@ -221,6 +399,10 @@ const getAllowedMahasiswa = async (req, res) => {
       email: s.student_email,
       nim: s.nim,
       status: s.status,
+      suspended_until: s.status === 'suspended' ? s.suspended_until : null,
+      status_reason: s.status === 'suspended' ? s.status_reason : null,
+      expires_at: s.expires_at,
+      renewal_requested_at: s.renewal_requested_at,
       requested_at: s.created_at,
     }));
 
@@ -235,6 +417,405 @@ const getAllowedMahasiswa = async (req, res) => {
   }
 };
 
+// Answer when a conditional status change found the permission changed since it was read
+const PERMISSION_CHANGED_ERROR = 'Permission was changed in the meantime. Reload and try again';
+
+/**
+ * Load a permission of one of this dosen's students for a revoke/suspend/resume action
+ * @param {string} permissionId - Permission ID
+ * @param {string} lecturerId - Dosen user ID
+ * @returns {Promise<Object|null>} Permission with its stored status and current
+ *   (effective_status) status, or null
+ */
+const getLecturerPermission = async (permissionId, lecturerId) => {
+  return getOne(
+    `SELECT id, student_id, lecturer_id, status, ${effectiveStatusSql()} as effective_status
+     FROM tracking_permissions
+     WHERE id = ? AND lecturer_id = ?`,
+    [permissionId, lecturerId]
+  );
+};
+
+/**
+ * Revoke an approved (or suspended) permission
+ * Body: { reason? }
+ * Dosen only endpoint
+ */
+const revokePermission = async (req, res) => {
+  try {
+    const lecturerId = req.user.id;
+    const { reason, error } = validateReason(req.body.reason);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const permission = await getLecturerPermission(req.params.id, lecturerId);
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    
+    if (!['approved', 'suspended'].includes(permission.effective_status)) {
+      return res.status(409).json({ 
+        error: 'Only approved or suspended permissions can be revoked',
+        status: permission.effective_status
+      });
+    }
+    
+    // Conditional on the status read above, so a concurrent change makes this one fail
+    const changed = await runTransaction(async () => {
+      const result = await runQuery(
+        `UPDATE tracking_permissions 
+         SET status = 'revoked', status_reason = ?, suspended_until = NULL, renewal_requested_at = NULL, 
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = ?`,
+        [reason, permission.id, permission.status]
+      );
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordPermissionChange(permission.id, {
+        action: 'revoked', status: 'revoked', reason, actorId: lecturerId
+      });
+      return true;
+    });
+    
+    if (!changed) {
+      return res.status(409).json({ error: PERMISSION_CHANGED_ERROR });
+    }
+    
+    if (socketHandlers) {
+      socketHandlers.revokeTrackingAccess(lecturerId, permission.student_id, { status: 'revoked', reason });
+    }
+    
+    res.status(200).json({
+      message: 'Permission revoked successfully',
+      permission_id: permission.id,
+      new_status: 'revoked',
+      reason
+    });
+    
+  } catch (error) {
+    console.error('Revoke permission error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Suspend an approved permission for a number of days (access returns by itself afterwards)
+ * Body: { duration_days, reason? } - suspending again replaces the end date
+ * Dosen only endpoint
+ */
+const suspendPermission = async (req, res) => {
+  try {
+    const lecturerId = req.user.id;
+    const durationDays = req.body.duration_days;
+    
+    if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_SUSPEND_DAYS) {
+      return res.status(400).json({ 
+        error: `duration_days must be a whole number from 1 to ${MAX_SUSPEND_DAYS}` 
+      });
+    }
+    
+    const { reason, error } = validateReason(req.body.reason);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const permission = await getLecturerPermission(req.params.id, lecturerId);
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    
+    if (!['approved', 'suspended'].includes(permission.effective_status)) {
+      return res.status(409).json({ 
+        error: 'Only approved or suspended permissions can be suspended',
+        status: permission.effective_status
+      });
+    }
+    
+    const changed = await runTransaction(async () => {
+      const result = await runQuery(
+        `UPDATE tracking_permissions 
+         SET status = 'suspended', status_reason = ?, suspended_until = datetime('now', ?), updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = ?`,
+        [reason, `+${durationDays} days`, permission.id, permission.status]
+      );
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordPermissionChange(permission.id, {
+        action: 'suspended', status: 'suspended', reason, actorId: lecturerId
+      });
+      return true;
+    });
+    
+    if (!changed) {
+      return res.status(409).json({ error: PERMISSION_CHANGED_ERROR });
+    }
+    
+    const updated = await getOne('SELECT suspended_until FROM tracking_permissions WHERE id = ?', [permission.id]);
+    
+    if (socketHandlers) {
+      socketHandlers.revokeTrackingAccess(lecturerId, permission.student_id, { status: 'suspended', reason });
+    }
+    
+    res.status(200).json({
+      message: 'Permission suspended successfully',
+      permission_id: permission.id,
+      new_status: 'suspended',
+      suspended_until: updated.suspended_until,
+      reason
+    });
+    
+  } catch (error) {
+    console.error('Suspend permission error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * End a suspension early
+ * Dosen only endpoint
+ */
+const resumePermission = async (req, res) => {
+  try {
+    const permission = await getLecturerPermission(req.params.id, req.user.id);
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    
+    if (permission.effective_status !== 'suspended') {
+      return res.status(409).json({ 
+        error: 'Permission is not suspended',
+        status: permission.effective_status
+      });
+    }
+    
+    const changed = await runTransaction(async () => {
+      const result = await runQuery(
+        `UPDATE tracking_permissions 
+         SET status = 'approved', status_reason = NULL, suspended_until = NULL, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = ?`,
+        [permission.id, permission.status]
+      );
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordPermissionChange(permission.id, {
+        action: 'resumed', status: 'approved', actorId: req.user.id
+      });
+      return true;
+    });
+    
+    if (!changed) {
+      return res.status(409).json({ error: PERMISSION_CHANGED_ERROR });
+    }
+    
+    // Open clients can join the dosen room again
+    if (socketHandlers) {
+      socketHandlers.resumeTrackingAccess(req.user.id, permission.student_id);
+    }
+    
+    res.status(200).json({
+      message: 'Permission resumed successfully',
+      permission_id: permission.id,
+      new_status: 'approved'
+    });
+    
+  } catch (error) {
+    console.error('Resume permission error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Withdraw my own request or permission (pending, approved or suspended)
+ * Mahasiswa only endpoint
+ */
+const withdrawRequest = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    
+    const permission = await getOne(
+      `SELECT id, lecturer_id, status, ${effectiveStatusSql()} as effective_status
+       FROM tracking_permissions
+       WHERE id = ? AND student_id = ?`,
+      [req.params.id, studentId]
+    );
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    if (!['pending', 'approved', 'suspended'].includes(permission.effective_status)) {
+      return res.status(409).json({ 
+        error: 'Only pending, approved or suspended requests can be withdrawn',
+        status: permission.effective_status
+      });
+    }
+    
+    const changed = await runTransaction(async () => {
+      const result = await runQuery(
+        `UPDATE tracking_permissions 
+         SET status = 'withdrawn', status_reason = NULL, suspended_until = NULL, renewal_requested_at = NULL, 
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = ?`,
+        [permission.id, permission.status]
+      );
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordPermissionChange(permission.id, {
+        action: 'withdrawn', status: 'withdrawn', actorId: studentId
+      });
+      return true;
+    });
+    
+    if (!changed) {
+      return res.status(409).json({ error: PERMISSION_CHANGED_ERROR });
+    }
+    
+    // Other open tabs leave the dosen room too
+    if (socketHandlers) {
+      socketHandlers.revokeTrackingAccess(permission.lecturer_id, studentId, { status: 'withdrawn' });
+    }
+    
+    res.status(200).json({
+      message: 'Request withdrawn successfully',
+      permission_id: permission.id,
+      new_status: 'withdrawn'
+    });
+    
+  } catch (error) {
+    console.error('Withdraw request error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Ask the dosen to renew an expired or time-limited permission
+ * The current permission stays as it is until the dosen answers (see handleRequest).
+ * Mahasiswa only endpoint
+ */
+const requestRenewal = async (req, res) => {
+  try {
+    const permission = await getOne(
+      `SELECT id, ${effectiveStatusSql()} as status, expires_at, renewal_requested_at
+       FROM tracking_permissions
+       WHERE id = ? AND student_id = ?`,
+      [req.params.id, req.user.id]
+    );
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    if (!permission.expires_at || !['approved', 'suspended', 'expired'].includes(permission.status)) {
+      return res.status(409).json({ 
+        error: 'Only expired or time-limited permissions can be renewed',
+        status: permission.status
+      });
+    }
+    
+    if (permission.renewal_requested_at) {
+      return res.status(409).json({ 
+        error: 'Renewal already requested',
+        status: permission.status,
+        renewal_requested_at: permission.renewal_requested_at
+      });
+    }
+    
+    await runTransaction(async () => {
+      await runQuery(
+        'UPDATE tracking_permissions SET renewal_requested_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [permission.id]
+      );
+      await recordPermissionChange(permission.id, {
+        action: 'renewal_requested', status: permission.status, actorId: req.user.id
+      });
+    });
+    
+    res.status(200).json({
+      message: 'Renewal requested successfully',
+      permission_id: permission.id,
+      status: permission.status,
+      expires_at: permission.expires_at
+    });
+    
+  } catch (error) {
+    console.error('Request renewal error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the privacy level students see this Dosen with
+ * Dosen only endpoint
+ */
+const getPrivacySettings = async (req, res) => {
+  try {
+    const dosenProfile = await getOne(
+      'SELECT privacy_level FROM dosen WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    if (!dosenProfile) {
+      return res.status(403).json({ error: 'Only dosen can view privacy settings' });
+    }
+
+    res.status(200).json({
+      privacy_level: dosenProfile.privacy_level || 'exact',
+      available_levels: PRIVACY_LEVELS
+    });
+
+  } catch (error) {
+    console.error('Get privacy settings error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Set the privacy level students see this Dosen with
+ * exact: position and zone, zone: zone name only, campus: campus name only
+ * Dosen only endpoint
+ */
+const updatePrivacySettings = async (req, res) => {
+  try {
+    const { privacy_level } = req.body;
+
+    if (!PRIVACY_LEVELS.includes(privacy_level)) {
+      return res.status(400).json({ 
+        error: `privacy_level must be one of: ${PRIVACY_LEVELS.join(', ')}` 
+      });
+    }
+
+    const result = await runQuery(
+      'UPDATE dosen SET privacy_level = ? WHERE user_id = ?',
+      [privacy_level, req.user.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(403).json({ error: 'Only dosen can change privacy settings' });
+    }
+
+    reloadDosenPrivacyLevel(req.user.id);
+
+    res.status(200).json({
+      message: 'Privacy settings updated',
+      privacy_level
+    });
+
+  } catch (error) {
+    console.error('Update privacy settings error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Get list of Dosen that mahasiswa is allowed to track
  * Includes location data with geofence masking and online status
@@ -262,13 +843,15 @@ const getAllowedDosen = async (req, res) => {
         d.nidn,
         l.latitude,
         l.longitude,
-        l.position_name,
-        l.last_updated
+        l.zone_id,
+        l.last_updated,
+        d.privacy_level,
+        tp.expires_at
       FROM tracking_permissions tp
       JOIN dosen d ON tp.lecturer_id = d.user_id
       JOIN users u ON d.user_id = u.id
       LEFT JOIN locations l ON d.user_id = l.user_id
-      WHERE tp.student_id = ? AND tp.status = 'approved'
+      WHERE tp.student_id = ? AND ${activePermissionSql('tp')}
       ORDER BY u.name ASC
     `, [studentId]);
     
@@ -279,16 +862,18 @@ const getAllowedDosen = async (req, res) => {
           latitude: null,
           longitude: null,
           position_name: 'Lokasi tidak tersedia',
+          zone_path: [],
           last_updated: null
         };
         
-        // Apply geofence masking if location exists
+        // Apply geofence masking and the dosen's privacy level if location exists
         if (dosen.latitude !== null && dosen.longitude !== null) {
-          const geofenceResult = await checkGeofence(dosen.latitude, dosen.longitude);
+          const geofenceResult = await describeStoredLocation(dosen, dosen.user_id, dosen.privacy_level);
           locationData = {
             latitude: geofenceResult.displayLat,
             longitude: geofenceResult.displayLong,
             position_name: geofenceResult.locationName,
+            zone_path: geofenceResult.zonePath,
             last_updated: dosen.last_updated
           };
         }
@@ -301,7 +886,8 @@ const getAllowedDosen = async (req, res) => {
           name: dosen.name,
           nidn: dosen.nidn,
           ...locationData,
-          is_online: isOnline
+          is_online: isOnline,
+          permission_expires_at: dosen.expires_at
         };
       })
     );
@@ -331,7 +917,7 @@ const getAllDosen = async (req, res) => {
         d.user_id,
         u.name,
         d.nidn,
-        tp.status as request_status,
+        ${effectiveStatusSql('tp')} as request_status,
         tp.id as permission_id
       FROM dosen d
       JOIN users u ON d.user_id = u.id
@@ -367,8 +953,16 @@ const getMyRequests = async (req, res) => {
       SELECT 
         tp.id,
         tp.lecturer_id,
-        tp.status,
+        ${effectiveStatusSql('tp')} as status,
+        tp.request_message,
+        tp.status_reason,
+        tp.suspended_until,
+        tp.expires_at,
+        tp.renewal_requested_at,
+        CASE WHEN tp.status = 'rejected' 
+          THEN datetime(COALESCE(tp.updated_at, tp.created_at), ?) END as rerequest_allowed_at,
         tp.created_at,
+        tp.updated_at,
         u.name as lecturer_name,
         d.nidn
       FROM tracking_permissions tp
@@ -376,7 +970,7 @@ const getMyRequests = async (req, res) => {
       JOIN dosen d ON tp.lecturer_id = d.user_id
       WHERE tp.student_id = ?
       ORDER BY tp.created_at DESC
-    `, [studentId]);
+    `, [`+${REREQUEST_COOLDOWN_DAYS} days`, studentId]);
     
     res.status(200).json({
       count: requests.length,
@@ -389,6 +983,54 @@ const getMyRequests = async (req, res) => {
   }
 };
 
+/**
+ * Get the state history of a tracking permission, oldest first
+ * Accessible by the mahasiswa and dosen of the permission, and by admins
+ */
+const getPermissionHistory = async (req, res) => {
+  try {
+    const { id: userId, role } = req.user;
+    
+    const permission = await getOne(
+      'SELECT id, student_id, lecturer_id FROM tracking_permissions WHERE id = ?',
+      [req.params.id]
+    );
+    
+    if (!permission) {
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+    
+    if (role !== 'admin' && userId !== permission.student_id && userId !== permission.lecturer_id) {
+      return res.status(403).json({ error: 'Not authorized to view this permission' });
+    }
+    
+    const history = await getAll(`
+      SELECT 
+        h.id,
+        h.action,
+        h.status,
+        h.reason,
+        h.actor_id,
+        u.name as actor_name,
+        h.created_at
+      FROM tracking_permission_history h
+      LEFT JOIN users u ON h.actor_id = u.id
+      WHERE h.permission_id = ?
+      ORDER BY h.created_at ASC, h.rowid ASC
+    `, [permission.id]);
+    
+    res.status(200).json({
+      permission_id: permission.id,
+      count: history.length,
+      history
+    });
+    
+  } catch (error) {
+    console.error('Get permission history error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Get location history for dosen (last 7 days, by day of week)
  * Accessible by:
@@ -417,7 +1059,7 @@ const getLocationHistory = async (req, res) => {
       // Verify mahasiswa has approved permission to track this dosen
       const permission = await getOne(
         `SELECT id FROM tracking_permissions 
-         WHERE student_id = ? AND lecturer_id = ? AND status = 'approved'`,
+         WHERE student_id = ? AND lecturer_id = ? AND ${activePermissionSql()}`,
         [userId, requestedDosenId]
       );
 
@@ -448,6 +1090,7 @@ const getLocationHistory = async (req, res) => {
       SELECT 
         day_of_week,
         location_name,
+        zone_path,
         latitude,
         longitude,
         logged_at
@@ -469,6 +1112,7 @@ const getLocationHistory = async (req, res) => {
     history.forEach(log => {
       historyByDay[log.day_of_week].push({
         location_name: log.location_name,
+        zone_path: log.zone_path ? JSON.parse(log.zone_path) : [],
         latitude: log.latitude,
         longitude: log.longitude,
         logged_at: log.logged_at
@@ -503,8 +1147,17 @@ module.exports = {
   handleRequest,
   getAllowedDosen,
   getAllowedMahasiswa,
+  revokePermission,
+  suspendPermission,
+  resumePermission,
+  withdrawRequest,
+  requestRenewal,
+  getPrivacySettings,
+  updatePrivacySettings,
   getAllDosen,
   getMyRequests,
+  getPermissionHistory,
   getLocationHistory,
-  setOnlineStatusGetter
+  setOnlineStatusGetter,
+  setSocketHandlers
 };
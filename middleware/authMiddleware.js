@@ -1,14 +1,22 @@
 const jwt = require('jsonwebtoken');
 const { getOne } = require('../config/db');
+const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/jwt');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { isSessionActive, touchSession } = require('../utils/session');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'mydosen_secret_key_fallback';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+// Routes still reachable while a password change is pending (after admin reset)
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/auth/password', '/auth/logout', '/auth/profile'];
+
+// Routes still reachable while 2FA enrollment is required by role policy
+const TWO_FACTOR_SETUP_ALLOWED_PATHS = ['/auth/2fa/setup', '/auth/2fa/enable', '/auth/logout', '/auth/profile'];
 
 /**
  * Verify JWT token from Authorization header
+ * Rejects tokens whose session has been revoked (logout) or has expired,
+ * and tokens issued before the user's role was changed
  * Attaches decoded user info to req.user
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -29,9 +37,50 @@ const verifyToken = (req, res, next) => {
     
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Verify the session behind the token is still active
+    if (!await isSessionActive(decoded.sid)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const account = await getOne(
+      'SELECT must_change_password, totp_enabled, token_version FROM users WHERE id = ?',
+      [decoded.id]
+    );
+
+    if (!account) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    // Role changed since the token was issued - client must refresh for a new one
+    if ((decoded.ver || 0) !== (account.token_version || 0)) {
+      return res.status(401).json({ error: 'Token is no longer valid. Please refresh your token' });
+    }
+
+    // Block everything but the password change until a reset password is replaced
+    if (account.must_change_password && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+      return res.status(403).json({
+        error: 'Password change required',
+        must_change_password: true
+      });
+    }
+
+    // Block everything but enrollment while 2FA is mandatory for the role and not set up
+    if (!account.totp_enabled
+      && !TWO_FACTOR_SETUP_ALLOWED_PATHS.includes(req.path)
+      && await isTwoFactorRequired(decoded.role)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication setup required',
+        two_factor_setup_required: true
+      });
+    }
+
+    // Track device activity
+    await touchSession(decoded.sid);
+
     req.user = decoded;
     next();
-    
+
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token has expired' });
@@ -39,6 +88,7 @@ const verifyToken = (req, res, next) => {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
     }
+    console.error('Error in verifyToken middleware:', error.message);
     return res.status(500).json({ error: 'Failed to authenticate token' });
   }
 };
@@ -5,6 +5,7 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const adminController = require('../controllers/adminController');
 const trackingController = require('../controllers/trackingController');
+const geofenceController = require('../controllers/geofenceController');
 
 // Middleware
 const { verifyToken, requireAdmin, requireDosen, requireMahasiswa } = require('../middleware/authMiddleware');
@@ -17,7 +18,10 @@ const { verifyToken, requireAdmin, requireDosen, requireMahasiswa } = require('.
  *   post:
  *     tags: [Auth]
  *     summary: Login to the system
- *     description: Authenticate with email and password to receive a JWT token
+ *     description: |
+ *       Authenticate with email and password to receive a JWT token.
+ *       For accounts with 2FA enabled the response instead contains `two_factor_required: true`
+ *       and a `two_factor_token` to send to `/auth/2fa/verify` with the TOTP code.
  *     requestBody:
  *       required: true
  *       content:
@@ -43,173 +47,226 @@ const { verifyToken, requireAdmin, requireDosen, requireMahasiswa } = require('.
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts from this IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/auth/login', authController.login);
 
 /**
  * @swagger
- * /auth/profile:
- *   get:
+ * /auth/refresh:
+ *   post:
  *     tags: [Auth]
- *     summary: Get current user profile
- *     description: Returns the profile information of the authenticated user
- *     security:
- *       - bearerAuth: []
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchange a refresh token for a new short-lived access token.
+ *       The refresh token is rotated on every call; the old one stops working.
+ *       Reusing an already-rotated refresh token revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: New token pair issued
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/RefreshResponse'
+ *       400:
+ *         description: Missing refresh_token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Not authenticated
+ *         description: Invalid, expired or revoked refresh token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/auth/profile', verifyToken, authController.getProfile);
-
-// ==================== ADMIN ROUTES ====================
+router.post('/auth/refresh', authController.refresh);
 
 /**
  * @swagger
- * /admin/users:
+ * /auth/2fa/verify:
  *   post:
- *     tags: [Admin]
- *     summary: Create a new user
- *     description: Create a new user account (admin, dosen, or mahasiswa). Admin only.
- *     security:
- *       - bearerAuth: []
+ *     tags: [Auth]
+ *     summary: Complete login with a two-factor code
+ *     description: |
+ *       Second login step for accounts with 2FA enabled. `/auth/login` answers with
+ *       `two_factor_required: true` and a `two_factor_token` (valid 5 minutes) instead of tokens.
+ *       Send it here with a 6-digit TOTP `code` or a one-time `recovery_code`.
+ *       Wrong codes count as failed logins. Each TOTP code and each `two_factor_token`
+ *       is accepted only once.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/CreateUserRequest'
+ *             $ref: '#/components/schemas/TwoFactorVerifyRequest'
  *     responses:
- *       201:
- *         description: User created successfully
+ *       200:
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: User created successfully
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/LoginResponse'
  *       400:
- *         description: Invalid input
+ *         description: Missing fields
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Admin access required
+ *       401:
+ *         description: Invalid or already used code, or expired/already used two-factor token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       409:
- *         description: Email/NIM/NIDN/NIP already registered
+ *       423:
+ *         description: Account temporarily locked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/admin/users', verifyToken, requireAdmin, adminController.createUser);
+router.post('/auth/2fa/verify', authController.verifyTwoFactorLogin);
 
 /**
  * @swagger
- * /admin/users:
- *   get:
- *     tags: [Admin]
- *     summary: Get all users
- *     description: Retrieve a list of all users with their role information. Admin only.
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret and QR code (PNG data URL) for an authenticator app. 2FA becomes active after /auth/2fa/enable.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of users retrieved successfully
+ *         description: Enrollment data
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 count:
- *                   type: integer
- *                   example: 3
- *                 users:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
- *       403:
- *         description: Admin access required
+ *                 message:
+ *                   type: string
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauth_url:
+ *                   type: string
+ *                   example: otpauth://totp/MyDosen:admin%40unsri.ac.id?secret=JBSWY3DPEHPK3PXP&issuer=MyDosen
+ *                 qr_code:
+ *                   type: string
+ *                   example: data:image/png;base64,iVBORw0KGgo...
+ *       409:
+ *         description: Two-factor authentication already enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/admin/users', verifyToken, requireAdmin, adminController.getAllUsers);
+router.post('/auth/2fa/setup', verifyToken, authController.setupTwoFactor);
 
 /**
  * @swagger
- * /admin/users/{id}:
- *   delete:
- *     tags: [Admin]
- *     summary: Delete a user
- *     description: Delete a user by ID. Admin only.
+ * /auth/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm two-factor enrollment
+ *     description: Activates 2FA with a code from the authenticator app and returns one-time recovery codes (shown only once).
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *           format: uuid
- *         description: User ID (UUID) to delete
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: Two-factor authentication enabled
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Success'
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
  *       400:
- *         description: Cannot delete own account
+ *         description: Invalid code or setup not started
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Admin access required
+ */
+router.post('/auth/2fa/enable', verifyToken, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Disable two-factor authentication
+ *     description: Requires the account password and a current code. Not allowed when 2FA is mandatory for the user's role.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Invalid password or code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ *       403:
+ *         description: Two-factor authentication is mandatory for the role
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/admin/users/:id', verifyToken, requireAdmin, adminController.deleteUser);
+router.post('/auth/2fa/disable', verifyToken, authController.disableTwoFactor);
 
 /**
  * @swagger
- * /admin/permissions:
+ * /auth/2fa/recovery-codes:
  *   post:
- *     tags: [Admin]
- *     summary: Force assign tracking permission
- *     description: Create or update a tracking permission with approved status. Admin only.
+ *     tags: [Auth]
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes. Requires a current code.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -217,71 +274,88 @@ router.delete('/admin/users/:id', verifyToken, requireAdmin, adminController.del
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - student_id
- *               - lecturer_id
- *             properties:
- *               student_id:
- *                 type: string
- *                 format: uuid
- *                 example: '550e8400-e29b-41d4-a716-446655440002'
- *               lecturer_id:
- *                 type: string
- *                 format: uuid
- *                 example: '550e8400-e29b-41d4-a716-446655440003'
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
  *     responses:
- *       201:
- *         description: Permission created and approved
+ *       200:
+ *         description: New recovery codes
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 permission_id:
- *                   type: string
- *                   format: uuid
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       401:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/auth/2fa/recovery-codes', verifyToken, authController.regenerateTwoFactorRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Logout current session
+ *     description: Revokes the session of the presented access token. Its access and refresh tokens stop working immediately, including for new Socket.IO connections.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
  *       200:
- *         description: Existing permission updated to approved
+ *         description: Logout successful
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 permission_id:
- *                   type: string
- *                   format: uuid
- *       403:
- *         description: Admin access required
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Student or lecturer not found
+ */
+router.post('/auth/logout', verifyToken, authController.logout);
+
+/**
+ * @swagger
+ * /auth/profile:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Get current user profile
+ *     description: Returns the profile information of the authenticated user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/admin/permissions', verifyToken, requireAdmin, adminController.forceAssignPermission);
+router.get('/auth/profile', verifyToken, authController.getProfile);
 
 /**
  * @swagger
- * /admin/permissions:
+ * /auth/sessions:
  *   get:
- *     tags: [Admin]
- *     summary: Get all tracking permissions
- *     description: Retrieve all tracking permissions with user details. Admin only.
+ *     tags: [Auth]
+ *     summary: List my active sessions
+ *     description: Returns the logged-in devices of the authenticated user, including live Socket.IO connection count.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of permissions retrieved successfully
+ *         description: Active sessions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -289,48 +363,1509 @@ router.post('/admin/permissions', verifyToken, requireAdmin, adminController.for
  *               properties:
  *                 count:
  *                   type: integer
- *                 permissions:
+ *                 sessions:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/TrackingPermission'
- *       403:
- *         description: Admin access required
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/admin/permissions', verifyToken, requireAdmin, adminController.getAllPermissions);
-
-// ==================== TRACKING ROUTES (MAHASISWA) ====================
+router.get('/auth/sessions', verifyToken, authController.getSessions);
 
 /**
  * @swagger
- * /tracking/request:
- *   post:
- *     tags: [Tracking]
- *     summary: Request tracking access to a Dosen
- *     description: Mahasiswa requests permission to track a Dosen's location. Mahasiswa only.
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Sign out a session
+ *     description: Revokes one of the authenticated user's sessions and disconnects its live sockets.
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RequestAccessRequest'
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID (UUID) to sign out
  *     responses:
- *       201:
- *         description: Request submitted successfully
+ *       200:
+ *         description: Session signed out successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 permission_id:
- *                   type: string
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/auth/sessions/:id', verifyToken, authController.deleteSession);
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     tags: [Auth]
+ *     summary: Change my password
+ *     description: |
+ *       Change the authenticated user's password. The new password must be at least 8 characters
+ *       and contain a letter and a number. All other sessions are signed out.
+ *       This is the only route (besides profile and logout) available while a password change is required after an admin reset.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked_sessions:
+ *                   type: integer
+ *       400:
+ *         description: Missing fields or password too weak
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated or old password incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/auth/password', verifyToken, authController.changePassword);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Request a password reset email
+ *     description: |
+ *       Sends a one-time reset token to the email if it is registered.
+ *       The response is the same whether or not the email exists.
+ *       The token expires after 30 minutes (PASSWORD_RESET_EXPIRES_MINUTES).
+ *       At most one email is sent per account every 5 minutes (PASSWORD_RESET_COOLDOWN_MINUTES),
+ *       and each IP may send 20 requests per hour (PASSWORD_RESET_MAX_REQUESTS_PER_IP); this limit is
+ *       separate from the login lockout.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: mahasiswa1@unsri.ac.id
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/auth/forgot-password', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Reset password with a reset token
+ *     description: Consumes the emailed reset token, sets a new password and signs out all sessions.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - new_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 example: N3wPassword
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid/expired token or password too weak
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/auth/reset-password', authController.resetPassword);
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @swagger
+ * /admin/users:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create a new user
+ *     description: Create a new user account (admin, dosen, or mahasiswa). Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateUserRequest'
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: User created successfully
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email/NIM/NIDN/NIP already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/users', verifyToken, requireAdmin, adminController.createUser);
+
+/**
+ * @swagger
+ * /admin/users/import:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Bulk import users from CSV
+ *     description: |
+ *       Import users from a CSV with a header row: `name,email,role,nim,nidn,nip` (comma, semicolon or tab separated,
+ *       e.g. saved from Excel). Every row is validated like `POST /admin/users`, including duplicates inside the file.
+ *       Nothing is imported unless all rows are valid; the import runs in a single transaction.
+ *       Imported users get a generated temporary password and must change it at first login.
+ *       With `dry_run=true` only the per-row validation report is returned. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate only, do not import
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               name,email,role,nim,nidn,nip
+ *               Siti Aminah,siti@student.unsri.ac.id,mahasiswa,09021182126010,,
+ *               Dr. Rudi Hartono,rudi@unsri.ac.id,dosen,,0001018510,
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportUsersRequest'
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportUsersReport'
+ *       201:
+ *         description: Users imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportUsersResponse'
+ *       400:
+ *         description: Missing columns or invalid rows (report included, nothing imported)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportUsersReport'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/admin/users/import',
+  verifyToken,
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  adminController.importUsers
+);
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List users
+ *     description: List users with their role information, with search, filters, sorting and cursor pagination. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in name, email, NIM, NIDN and NIP
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, dosen, mahasiswa]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, name, email]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PageEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/users', verifyToken, requireAdmin, adminController.getAllUsers);
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a user
+ *     description: Delete a user by ID. Their tokens stop working immediately and live sockets are disconnected. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID) to delete
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Cannot delete own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/admin/users/:id', verifyToken, requireAdmin, adminController.deleteUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update a user
+ *     description: |
+ *       Update name, email, NIM/NIDN/NIP or role. Only the fields present are changed (PATCH is an alias).
+ *       Changing the role moves the user to the new profile in one transaction; tracking permissions
+ *       (and a dosen's location history) tied to the old role are removed. Role or name changes
+ *       invalidate the user's issued access tokens and disconnect their sockets with an `account_updated` event. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID) to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateUserRequest'
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UpdateUserResponse'
+ *       400:
+ *         description: Invalid input or changing own role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email/NIM/NIDN/NIP already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/admin/users/:id', verifyToken, requireAdmin, adminController.updateUser);
+router.patch('/admin/users/:id', verifyToken, requireAdmin, adminController.updateUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/logout:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Force logout a user everywhere
+ *     description: Revokes all sessions of a user and disconnects their live sockets. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID) to log out
+ *     responses:
+ *       200:
+ *         description: User logged out from all sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user_id:
+ *                   type: string
+ *                   format: uuid
+ *                 revoked_sessions:
+ *                   type: integer
+ *                 disconnected_sockets:
+ *                   type: integer
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/users/:id/logout', verifyToken, requireAdmin, adminController.forceLogoutUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/reset-password:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reset a user's password
+ *     description: |
+ *       Sets a temporary password (provided or generated) and forces the user to change it at next login.
+ *       All existing sessions of the user are revoked. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               new_password:
+ *                 type: string
+ *                 description: Temporary password. Generated when omitted.
+ *                 example: Temp12345
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user_id:
+ *                   type: string
+ *                   format: uuid
+ *                 temporary_password:
+ *                   type: string
+ *                   description: Only present when the password was generated
+ *                 revoked_sessions:
+ *                   type: integer
+ *       400:
+ *         description: Password too weak
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/users/:id/reset-password', verifyToken, requireAdmin, adminController.resetUserPassword);
+
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Unlock a locked account
+ *     description: Clears the failed login counter and lockout of a user. Recorded in the audit trail. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID) to unlock
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/users/:id/unlock', verifyToken, requireAdmin, adminController.unlockUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/reset-2fa:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Remove a user's two-factor authentication
+ *     description: For users who lost their authenticator device. Recorded in the audit trail. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID (UUID)
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/users/:id/reset-2fa', verifyToken, requireAdmin, adminController.resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /admin/2fa-policy:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get two-factor policy
+ *     description: Returns the roles for which two-factor authentication is mandatory. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorPolicy'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update two-factor policy
+ *     description: |
+ *       Sets the roles for which two-factor authentication is mandatory.
+ *       Users of those roles without 2FA can only reach the enrollment routes until they enable it. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorPolicy'
+ *       400:
+ *         description: Invalid roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/2fa-policy', verifyToken, requireAdmin, adminController.getTwoFactorPolicy);
+router.put('/admin/2fa-policy', verifyToken, requireAdmin, adminController.updateTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get security audit trail
+ *     description: |
+ *       Lists security events, newest first. Event types include
+ *       `account_locked`, `ip_locked`, `account_unlocked`, `two_factor_enabled`,
+ *       `two_factor_disabled`, `two_factor_reset`, `two_factor_policy_changed` and `recovery_code_used`. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event_type
+ *         schema:
+ *           type: string
+ *         description: Filter by event type
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by affected user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/audit-logs', verifyToken, requireAdmin, adminController.getAuditLogs);
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Force assign tracking permission
+ *     description: Create or update a tracking permission with approved status. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student_id
+ *               - lecturer_id
+ *             properties:
+ *               student_id:
+ *                 type: string
+ *                 format: uuid
+ *                 example: '550e8400-e29b-41d4-a716-446655440002'
+ *               lecturer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 example: '550e8400-e29b-41d4-a716-446655440003'
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: '2026-12-31'
+ *                 description: Optional expiry (ISO 8601 date or date-time, at most 366 days away)
+ *     responses:
+ *       201:
+ *         description: Permission created and approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 permission_id:
+ *                   type: string
+ *                   format: uuid
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       200:
+ *         description: Existing permission updated to approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 permission_id:
+ *                   type: string
+ *                   format: uuid
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Missing IDs or invalid expires_at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Student or lecturer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/permissions', verifyToken, requireAdmin, adminController.forceAssignPermission);
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List tracking permissions
+ *     description: List tracking permissions with user details, with search, filters, sorting and cursor pagination. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in student/lecturer name, NIM and NIDN
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, revoked, suspended, withdrawn, expired]
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: lecturer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, status, student_name, lecturer_name]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PageEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TrackingPermission'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/permissions', verifyToken, requireAdmin, adminController.getAllPermissions);
+
+// ==================== GEOFENCE ROUTES (ADMIN) ====================
+
+/**
+ * @swagger
+ * /admin/geofences:
+ *   get:
+ *     tags: [Geofences]
+ *     summary: List geofences
+ *     description: List all campus geofences. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of geofences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 geofences:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Geofence'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/geofences', verifyToken, requireAdmin, geofenceController.getGeofences);
+
+/**
+ * @swagger
+ * /admin/geofences:
+ *   post:
+ *     tags: [Geofences]
+ *     summary: Create a geofence
+ *     description: Create a circular geofence (latitude, longitude, radius_km) or a polygon geofence (GeoJSON Polygon/MultiPolygon in geometry). Location checks use it immediately. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeofenceRequest'
+ *     responses:
+ *       201:
+ *         description: Geofence created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 geofence:
+ *                   $ref: '#/components/schemas/Geofence'
+ *       400:
+ *         description: Invalid name, coordinates or radius
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A geofence with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/admin/geofences',
+  verifyToken,
+  requireAdmin,
+  express.json({ limit: '10mb' }),
+  geofenceController.createGeofence
+);
+
+/**
+ * @swagger
+ * /admin/masked-location:
+ *   get:
+ *     tags: [Geofences]
+ *     summary: Get the masked location
+ *     description: Point and label shown for dosen outside all geofences. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current masked location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaskedLocation'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags: [Geofences]
+ *     summary: Set the masked location
+ *     description: Sets the point and label shown for dosen outside all geofences (default Jakarta, "Di Luar"). The point must lie outside every geofence and private zone. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaskedLocation'
+ *     responses:
+ *       200:
+ *         description: Masked location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaskedLocation'
+ *       400:
+ *         description: Invalid coordinates or label, or the point lies inside a geofence or private zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/masked-location', verifyToken, requireAdmin, geofenceController.getMaskedLocationSetting);
+router.put('/admin/masked-location', verifyToken, requireAdmin, geofenceController.updateMaskedLocationSetting);
+
+/**
+ * @swagger
+ * /admin/holidays:
+ *   get:
+ *     tags: [Geofences]
+ *     summary: Get the holiday calendar
+ *     description: Days on which geofences with a schedule are inactive all day. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *           example: 2026
+ *         description: Only holidays in this year
+ *     responses:
+ *       200:
+ *         description: Holidays ordered by date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 holidays:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Holiday'
+ *       400:
+ *         description: Invalid year
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags: [Geofences]
+ *     summary: Add a holiday
+ *     description: Dates are in GEOFENCE_TIMEZONE. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, name]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: '2026-12-25'
+ *               name:
+ *                 type: string
+ *                 example: Hari Raya Natal
+ *     responses:
+ *       201:
+ *         description: Holiday created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 holiday:
+ *                   $ref: '#/components/schemas/Holiday'
+ *       400:
+ *         description: Invalid date or name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A holiday already exists on this date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/holidays', verifyToken, requireAdmin, geofenceController.getHolidays);
+router.post('/admin/holidays', verifyToken, requireAdmin, geofenceController.createHoliday);
+
+/**
+ * @swagger
+ * /admin/holidays/{id}:
+ *   delete:
+ *     tags: [Geofences]
+ *     summary: Remove a holiday
+ *     description: Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Holiday deleted
+ *       404:
+ *         description: Holiday not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/admin/holidays/:id', verifyToken, requireAdmin, geofenceController.deleteHoliday);
+
+/**
+ * @swagger
+ * /admin/geofences/export:
+ *   get:
+ *     tags: [Geofences]
+ *     summary: Export geofences as GeoJSON
+ *     description: |
+ *       Export all geofences as a GeoJSON FeatureCollection (e.g. to open in QGIS). Polygons keep their geometry;
+ *       circles are exported as a Point with a `radius_km` property. Properties: id, name, shape, radius_km, zone_type, parent (parent zone name). Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: GeoJSON FeatureCollection
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeoJSONFeatureCollection'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/geofences/export', verifyToken, requireAdmin, geofenceController.exportGeofences);
+
+/**
+ * @swagger
+ * /admin/geofences/import:
+ *   post:
+ *     tags: [Geofences]
+ *     summary: Import geofences from GeoJSON
+ *     description: |
+ *       Import a GeoJSON FeatureCollection. Polygon/MultiPolygon features become polygon fences; Point features need a
+ *       radius property and become circles. A feature whose name matches an existing geofence (case-insensitive) updates it,
+ *       other features are created. The optional parent property names the enclosing zone (in the file or already stored).
+ *       Every feature is validated like `POST /admin/geofences`; nothing is imported unless all are valid, in one transaction.
+ *       Send files larger than 100 KB as `application/geo+json`. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate only, do not import
+ *       - in: query
+ *         name: name_property
+ *         schema:
+ *           type: string
+ *           default: name
+ *         description: Feature property holding the zone name
+ *       - in: query
+ *         name: radius_property
+ *         schema:
+ *           type: string
+ *           default: radius_km
+ *         description: Feature property holding the radius (km) of Point features
+ *       - in: query
+ *         name: parent_property
+ *         schema:
+ *           type: string
+ *           default: parent
+ *         description: Feature property holding the parent zone name
+ *       - in: query
+ *         name: zone_type_property
+ *         schema:
+ *           type: string
+ *           default: zone_type
+ *         description: Feature property holding the zone type (optional, inferred from the parents)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/geo+json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeoJSONFeatureCollection'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeoJSONFeatureCollection'
+ *     responses:
+ *       200:
+ *         description: Import result, or dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeofenceImportReport'
+ *       400:
+ *         description: Not a FeatureCollection, or invalid features (report included, nothing imported)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeofenceImportReport'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/admin/geofences/import',
+  verifyToken,
+  requireAdmin,
+  express.json({ type: 'application/geo+json', limit: '10mb' }),
+  geofenceController.importGeofences
+);
+
+/**
+ * @swagger
+ * /admin/geofences/{id}:
+ *   get:
+ *     tags: [Geofences]
+ *     summary: Get a geofence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Geofence ID
+ *     responses:
+ *       200:
+ *         description: Geofence details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 geofence:
+ *                   $ref: '#/components/schemas/Geofence'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Geofence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/geofences/:id', verifyToken, requireAdmin, geofenceController.getGeofence);
+
+/**
+ * @swagger
+ * /admin/geofences/{id}:
+ *   put:
+ *     tags: [Geofences]
+ *     summary: Update a geofence
+ *     description: Update name, center/radius or geometry. Only the fields present are changed (PATCH is an alias). Sending geometry turns a circle into a polygon; sending latitude, longitude and radius_km turns a polygon into a circle. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Geofence ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeofenceRequest'
+ *     responses:
+ *       200:
+ *         description: Geofence updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 geofence:
+ *                   $ref: '#/components/schemas/Geofence'
+ *       400:
+ *         description: Invalid name, coordinates or radius
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Geofence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A geofence with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/admin/geofences/:id', verifyToken, requireAdmin, express.json({ limit: '10mb' }), geofenceController.updateGeofence);
+router.patch('/admin/geofences/:id', verifyToken, requireAdmin, express.json({ limit: '10mb' }), geofenceController.updateGeofence);
+
+/**
+ * @swagger
+ * /admin/geofences/{id}:
+ *   delete:
+ *     tags: [Geofences]
+ *     summary: Delete a geofence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Geofence ID
+ *     responses:
+ *       200:
+ *         description: Geofence deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Geofence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/admin/geofences/:id', verifyToken, requireAdmin, geofenceController.deleteGeofence);
+
+// ==================== TRACKING ROUTES (MAHASISWA) ====================
+
+/**
+ * @swagger
+ * /tracking/request:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Request tracking access to a Dosen
+ *     description: Mahasiswa requests permission to track a Dosen's location, optionally with a message for the Dosen. A withdrawn request can be submitted again at once, a rejected one after the re-request cooldown (`PERMISSION_REREQUEST_COOLDOWN_DAYS`). Mahasiswa only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RequestAccessRequest'
+ *     responses:
+ *       201:
+ *         description: Request submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 permission_id:
+ *                   type: string
  *                   format: uuid
  *                 lecturer_name:
  *                   type: string
@@ -341,135 +1876,582 @@ router.get('/admin/permissions', verifyToken, requireAdmin, adminController.getA
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Dosen not found
+ *         description: Dosen not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         description: Missing lecturer_id or invalid message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Request already exists, or was rejected and the cooldown has not passed (`rerequest_allowed_at` tells when it has)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 permission_id:
+ *                   type: string
+ *                   format: uuid
+ *                 rerequest_allowed_at:
+ *                   type: string
+ *                   format: date-time
+ */
+router.post('/tracking/request', verifyToken, requireMahasiswa, trackingController.requestAccess);
+
+/**
+ * @swagger
+ * /tracking/my-requests:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get my tracking requests
+ *     description: Mahasiswa retrieves their tracking permission requests. Mahasiswa only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of tracking requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrackingPermission'
+ *       403:
+ *         description: Mahasiswa access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tracking/my-requests', verifyToken, requireMahasiswa, trackingController.getMyRequests);
+
+/**
+ * @swagger
+ * /tracking/my-requests/{id}/withdraw:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Withdraw my request
+ *     description: Withdraws a pending request or gives up an approved or suspended permission. Withdrawn requests can be submitted again. Mahasiswa only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Request withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionChangeResponse'
+ *       404:
+ *         description: Request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Request is not pending, approved or suspended, or was changed concurrently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tracking/my-requests/:id/withdraw', verifyToken, requireMahasiswa, trackingController.withdrawRequest);
+
+/**
+ * @swagger
+ * /tracking/my-requests/{id}/renew:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Request renewal of a time-limited permission
+ *     description: Asks the Dosen to renew an expired permission, or one with an expiry date. The current permission stays as it is until the Dosen approves (with a new expiry) or rejects the renewal via /tracking/handle. Mahasiswa only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Renewal requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RenewalResponse'
+ *       404:
+ *         description: Request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Permission has no expiry, is not approved, suspended or expired, or a renewal is already requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tracking/my-requests/:id/renew', verifyToken, requireMahasiswa, trackingController.requestRenewal);
+
+/**
+ * @swagger
+ * /tracking/allowed-dosen:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get list of Dosen allowed to track
+ *     description: Mahasiswa retrieves list of Dosen they have approved permission to track, including location data. Mahasiswa only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of allowed Dosen with location data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 dosen:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DosenLocation'
+ *       403:
+ *         description: Mahasiswa access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tracking/allowed-dosen', verifyToken, requireMahasiswa, trackingController.getAllowedDosen);
+
+/**
+ * @swagger
+ * /tracking/dosen:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get all Dosen
+ *     description: Retrieve list of all Dosen for request purposes (without location data). Authenticated users only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of all Dosen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 dosen:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_id:
+ *                         type: string
+ *                         format: uuid
+ *                       name:
+ *                         type: string
+ *                       nidn:
+ *                         type: string
+ *                       request_status:
+ *                         type: string
+ *                         nullable: true
+ */
+router.get('/tracking/dosen', verifyToken, trackingController.getAllDosen);
+
+// ==================== TRACKING ROUTES (DOSEN) ====================
+
+/**
+ * @swagger
+ * /tracking/pending:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get pending tracking requests
+ *     description: Dosen retrieves pending tracking permission requests from Mahasiswa, including renewal requests for time-limited permissions (`is_renewal`). Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of pending requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       student_id:
+ *                         type: string
+ *                         format: uuid
+ *                       student_name:
+ *                         type: string
+ *                       student_email:
+ *                         type: string
+ *                       nim:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       request_message:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Message from the Mahasiswa
+ *                       expires_at:
+ *                         type: string
+ *                         nullable: true
+ *                       renewal_requested_at:
+ *                         type: string
+ *                         nullable: true
+ *                       is_renewal:
+ *                         type: boolean
+ *                       created_at:
+ *                         type: string
+ *       403:
+ *         description: Dosen access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tracking/pending', verifyToken, requireDosen, trackingController.getPendingRequests);
+
+/**
+ * @swagger
+ * /tracking/handle:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Handle tracking request
+ *     description: Dosen approves or rejects a pending tracking permission request, optionally limiting an approval with `expires_at` or explaining a rejection with `reason`. When a renewal is pending the action answers the renewal; approving it requires `expires_at` and only moves the expiry (a suspension stays), rejecting it leaves the current permission until it expires. Approved permissions are ended with revoke, not rejected. Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HandleRequestRequest'
+ *     responses:
+ *       200:
+ *         description: Request handled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HandleRequestResponse'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not authorized or Dosen access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Request is not pending (e.g. withdrawn, already decided or revoked) or was changed concurrently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tracking/handle', verifyToken, requireDosen, trackingController.handleRequest);
+
+/**
+ * @swagger
+ * /tracking/students:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get list of Mahasiswa allowed to track this Dosen
+ *     description: Dosen retrieves a list of Mahasiswa with an approved or suspended tracking permission for them. The `id` of each entry is the permission ID used to revoke, suspend or resume it. Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of allowed Mahasiswa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MahasiswaInfo'
+ *       403:
+ *         description: Dosen access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tracking/students', verifyToken, requireDosen, trackingController.getAllowedMahasiswa);
+
+/**
+ * @swagger
+ * /tracking/students/{id}/revoke:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Revoke a Mahasiswa's permission
+ *     description: Ends an approved or suspended permission, with an optional reason shown to the Mahasiswa. Their live sockets leave the tracking room and receive `permission_revoked`. Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermissionChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionChangeResponse'
+ *       400:
+ *         description: Invalid duration or reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Permission is not approved or suspended, or was changed concurrently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tracking/students/:id/revoke', verifyToken, requireDosen, trackingController.revokePermission);
+
+/**
+ * @swagger
+ * /tracking/students/{id}/suspend:
+ *   post:
+ *     tags: [Tracking]
+ *     summary: Suspend a Mahasiswa's permission
+ *     description: Pauses an approved permission for `duration_days` (1-180); access returns by itself afterwards. Suspending again replaces the end date. Live sockets leave the tracking room and receive `permission_revoked` with status `suspended`. Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SuspendPermissionRequest'
+ *     responses:
+ *       200:
+ *         description: Permission suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionChangeResponse'
+ *       400:
+ *         description: Invalid duration or reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Request already exists
+ *         description: Permission is not approved or suspended, or was changed concurrently
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/tracking/request', verifyToken, requireMahasiswa, trackingController.requestAccess);
+router.post('/tracking/students/:id/suspend', verifyToken, requireDosen, trackingController.suspendPermission);
 
 /**
  * @swagger
- * /tracking/my-requests:
- *   get:
+ * /tracking/students/{id}/resume:
+ *   post:
  *     tags: [Tracking]
- *     summary: Get my tracking requests
- *     description: Mahasiswa retrieves their tracking permission requests. Mahasiswa only.
+ *     summary: End a suspension early
+ *     description: Restores a suspended permission to approved. The Mahasiswa's live sockets receive `permission_resumed` and can join the tracking room again. Dosen only.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
  *     responses:
  *       200:
- *         description: List of tracking requests
+ *         description: Permission resumed
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 count:
- *                   type: integer
- *                 requests:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/TrackingPermission'
- *       403:
- *         description: Mahasiswa access required
+ *               $ref: '#/components/schemas/PermissionChangeResponse'
+ *       404:
+ *         description: Permission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Permission is not suspended, or was changed concurrently
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tracking/my-requests', verifyToken, requireMahasiswa, trackingController.getMyRequests);
+router.post('/tracking/students/:id/resume', verifyToken, requireDosen, trackingController.resumePermission);
 
 /**
  * @swagger
- * /tracking/allowed-dosen:
+ * /tracking/privacy:
  *   get:
  *     tags: [Tracking]
- *     summary: Get list of Dosen allowed to track
- *     description: Mahasiswa retrieves list of Dosen they have approved permission to track, including location data. Mahasiswa only.
+ *     summary: Get my privacy level
+ *     description: Returns what students see of this Dosen while on campus. Dosen only.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of allowed Dosen with location data
+ *         description: Current privacy level
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 count:
- *                   type: integer
- *                 dosen:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/DosenLocation'
+ *               $ref: '#/components/schemas/PrivacySettings'
  *       403:
- *         description: Mahasiswa access required
+ *         description: Dosen access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-router.get('/tracking/allowed-dosen', verifyToken, requireMahasiswa, trackingController.getAllowedDosen);
-
-/**
- * @swagger
- * /tracking/dosen:
- *   get:
+ *   put:
  *     tags: [Tracking]
- *     summary: Get all Dosen
- *     description: Retrieve list of all Dosen for request purposes (without location data). Authenticated users only.
+ *     summary: Set my privacy level
+ *     description: |
+ *       Chooses what students see of this Dosen while on campus:
+ *       - `exact`: position and full zone path
+ *       - `zone`: zone path only, position snapped to the zone center
+ *       - `campus`: campus name only, position snapped to the campus center
+ *
+ *       Geofences with a stricter `privacy_level` override this inside them. Outside all geofences
+ *       the masked location is always shown. Applies to `dosen_moved` and `/tracking/allowed-dosen`. Dosen only.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [privacy_level]
+ *             properties:
+ *               privacy_level:
+ *                 type: string
+ *                 enum: [exact, zone, campus]
  *     responses:
  *       200:
- *         description: List of all Dosen
+ *         description: Privacy level updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 count:
- *                   type: integer
- *                 dosen:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       user_id:
- *                         type: string
- *                         format: uuid
- *                       name:
- *                         type: string
- *                       nidn:
- *                         type: string
- *                       request_status:
- *                         type: string
- *                         nullable: true
+ *               $ref: '#/components/schemas/PrivacySettings'
+ *       400:
+ *         description: Invalid privacy level
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Dosen access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/tracking/dosen', verifyToken, trackingController.getAllDosen);
-
-// ==================== TRACKING ROUTES (DOSEN) ====================
+router.get('/tracking/privacy', verifyToken, requireDosen, trackingController.getPrivacySettings);
+router.put('/tracking/privacy', verifyToken, requireDosen, trackingController.updatePrivacySettings);
 
 /**
  * @swagger
- * /tracking/pending:
+ * /tracking/private-zones:
  *   get:
  *     tags: [Tracking]
- *     summary: Get pending tracking requests
- *     description: Dosen retrieves pending tracking permission requests from Mahasiswa. Dosen only.
+ *     summary: List my private zones
+ *     description: Places (e.g. home) where this Dosen's location is always masked. Dosen only.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of pending requests
+ *         description: Private zones
  *         content:
  *           application/json:
  *             schema:
@@ -477,43 +2459,24 @@ router.get('/tracking/dosen', verifyToken, trackingController.getAllDosen);
  *               properties:
  *                 count:
  *                   type: integer
- *                 requests:
+ *                 private_zones:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         format: uuid
- *                       student_id:
- *                         type: string
- *                         format: uuid
- *                       student_name:
- *                         type: string
- *                       student_email:
- *                         type: string
- *                       nim:
- *                         type: string
- *                       status:
- *                         type: string
- *                       created_at:
- *                         type: string
+ *                     $ref: '#/components/schemas/PrivateZone'
  *       403:
  *         description: Dosen access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-router.get('/tracking/pending', verifyToken, requireDosen, trackingController.getPendingRequests);
-
-/**
- * @swagger
- * /tracking/handle:
  *   post:
  *     tags: [Tracking]
- *     summary: Handle tracking request
- *     description: Dosen approves or rejects a tracking permission request. Dosen only.
+ *     summary: Create a private zone
+ *     description: |
+ *       Creates a circle `{ name, latitude, longitude, radius_km }` or polygon `{ name, geometry }` private zone.
+ *       Inside it this Dosen is reported at the masked location, named `label` if given (otherwise the masked
+ *       location name), even on campus. Private zones are checked before campus geofences and are never
+ *       logged to history. At most 10 per Dosen. Dosen only.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -521,10 +2484,10 @@ router.get('/tracking/pending', verifyToken, requireDosen, trackingController.ge
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/HandleRequestRequest'
+ *             $ref: '#/components/schemas/PrivateZoneRequest'
  *     responses:
- *       200:
- *         description: Request handled successfully
+ *       201:
+ *         description: Private zone created
  *         content:
  *           application/json:
  *             schema:
@@ -532,64 +2495,117 @@ router.get('/tracking/pending', verifyToken, requireDosen, trackingController.ge
  *               properties:
  *                 message:
  *                   type: string
- *                 permission_id:
- *                   type: string
- *                   format: uuid
- *                   description: UUID of the permission
- *                 new_status:
- *                   type: string
+ *                 private_zone:
+ *                   $ref: '#/components/schemas/PrivateZone'
  *       400:
- *         description: Invalid input
+ *         description: Invalid shape or label, or too many private zones
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Not authorized or Dosen access required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Permission request not found
+ *         description: Dosen access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/tracking/handle', verifyToken, requireDosen, trackingController.handleRequest);
+router.get('/tracking/private-zones', verifyToken, requireDosen, geofenceController.getPrivateZones);
+router.post('/tracking/private-zones', verifyToken, requireDosen, geofenceController.createPrivateZone);
 
 /**
  * @swagger
- * /tracking/students:
- *   get:
+ * /tracking/private-zones/{id}:
+ *   put:
  *     tags: [Tracking]
- *     summary: Get list of Mahasiswa allowed to track this Dosen
- *     description: Dosen retrieves a list of Mahasiswa who have approved tracking permission for them. Dosen only.
+ *     summary: Update a private zone
+ *     description: Only the fields present are changed; sending `geometry` or all circle fields switches the shape. Dosen only.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrivateZoneRequest'
  *     responses:
  *       200:
- *         description: List of allowed Mahasiswa
+ *         description: Private zone updated
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 count:
- *                   type: integer
- *                 students:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/MahasiswaInfo'
- *       403:
- *         description: Dosen access required
+ *                 message:
+ *                   type: string
+ *                 private_zone:
+ *                   $ref: '#/components/schemas/PrivateZone'
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Private zone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     tags: [Tracking]
+ *     summary: Update a private zone (same as PUT)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrivateZoneRequest'
+ *     responses:
+ *       200:
+ *         description: Private zone updated
+ *   delete:
+ *     tags: [Tracking]
+ *     summary: Delete a private zone
+ *     description: Dosen only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Private zone deleted
+ *       404:
+ *         description: Private zone not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tracking/students', verifyToken, requireDosen, trackingController.getAllowedMahasiswa);
+router.put('/tracking/private-zones/:id', verifyToken, requireDosen, geofenceController.updatePrivateZone);
+router.patch('/tracking/private-zones/:id', verifyToken, requireDosen, geofenceController.updatePrivateZone);
+router.delete('/tracking/private-zones/:id', verifyToken, requireDosen, geofenceController.deletePrivateZone);
 
 // ==================== LOCATION HISTORY ROUTES ====================
 
@@ -648,6 +2664,11 @@ router.get('/tracking/students', verifyToken, requireDosen, trackingController.g
  *                           properties:
  *                             location_name:
  *                               type: string
+ *                               example: UNSRI Indralaya > Gedung Fasilkom
+ *                             zone_path:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/ZonePathItem'
  *                             latitude:
  *                               type: number
  *                             longitude:
@@ -670,4 +2691,53 @@ router.get('/tracking/students', verifyToken, requireDosen, trackingController.g
  */
 router.get('/tracking/history', verifyToken, trackingController.getLocationHistory);
 
+/**
+ * @swagger
+ * /tracking/permissions/{id}/history:
+ *   get:
+ *     tags: [Tracking]
+ *     summary: Get the state history of a permission
+ *     description: Every change of a tracking permission (request, approval, rejection, revoke, suspension, renewal, expiry, ...), oldest first, with the reason or message given and who made it. Available to the Mahasiswa and Dosen of the permission and to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Permission history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permission_id:
+ *                   type: string
+ *                   format: uuid
+ *                 count:
+ *                   type: integer
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PermissionHistoryEntry'
+ *       403:
+ *         description: Not the Mahasiswa or Dosen of this permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tracking/permissions/:id/history', verifyToken, trackingController.getPermissionHistory);
+
 module.exports = router;
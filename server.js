@@ -9,6 +9,7 @@ const swaggerUi = require('swagger-ui-express');
 // Config
 const { initializeDatabase } = require('./config/db');
 const swaggerSpec = require('./config/swagger');
+const { loadGeofences } = require('./utils/geofence');
 
 // Middleware
 const docAuth = require('./middleware/docAuth');
@@ -17,15 +18,49 @@ const docAuth = require('./middleware/docAuth');
 const apiRoutes = require('./routes/apiRoutes');
 
 // Socket Manager
-const { initSockets, isDosenOnline } = require('./sockets/socketManager');
-
-// Tracking Controller - set online status getter
+const {
+  initSockets,
+  isDosenOnline,
+  getSessionSocketCount,
+  disconnectSession,
+  disconnectUser,
+  revokeTrackingAccess,
+  resumeTrackingAccess
+} = require('./sockets/socketManager');
+
+// Controllers - set socket manager hooks
+const authController = require('./controllers/authController');
+const adminController = require('./controllers/adminController');
 const trackingController = require('./controllers/trackingController');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3010;
 
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' value
+ * 'true', a hop count (e.g. 1) or a comma-separated list of proxy addresses/subnets
+ * (e.g. 'loopback, 10.0.0.0/8'); empty or 'false' trusts no proxy
+ * @param {string} [value] - TRUST_PROXY environment value
+ * @returns {boolean|number|string[]} Express trust proxy setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+// Behind a reverse proxy req.ip must be the client from X-Forwarded-For, not the proxy,
+// or per-IP login limits would block everyone behind it at once
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Create HTTP server
 const server = http.createServer(app);
 
@@ -39,7 +74,13 @@ const io = new Server(server, {
 });
 
 // Middleware
-app.use(express.json());
+// Polygon geofences easily exceed the default 100kb JSON limit; their create/update routes
+// parse the body themselves with a higher limit, after authentication
+const jsonParser = express.json();
+const isGeofenceWrite = (req) =>
+  (req.method === 'POST' && req.path === '/api/v1/admin/geofences') ||
+  (['PUT', 'PATCH'].includes(req.method) && /^\/api\/v1\/admin\/geofences\/[^/]+$/.test(req.path));
+app.use((req, res, next) => isGeofenceWrite(req) ? next() : jsonParser(req, res, next));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -48,7 +89,7 @@ app.use(express.static(path.join(__dirname, 'public')));
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   
   if (req.method === 'OPTIONS') {
@@ -73,6 +114,11 @@ app.get('/simulator', docAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'simulator.html'));
 });
 
+// Password reset page - default target of the emailed reset link (PASSWORD_RESET_URL)
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
 // Seed users endpoint for simulator (protected)
 app.get('/api/v1/seed-users', docAuth, (req, res) => {
   res.json({
@@ -132,8 +178,17 @@ const startServer = async () => {
     await initializeDatabase();
     console.log('Database initialized successfully.');
     
+    // Build the geofence index before the first location update arrives
+    const { geofences } = await loadGeofences();
+    console.log(`Geofence index loaded (${geofences.length} geofences).`);
+    
     // Set online status getter for tracking controller
     trackingController.setOnlineStatusGetter(isDosenOnline);
+    trackingController.setSocketHandlers({ revokeTrackingAccess, resumeTrackingAccess });
+    
+    // Set session socket hooks for auth and admin controllers
+    authController.setSocketHandlers({ getSessionSocketCount, disconnectSession });
+    adminController.setSocketHandlers({ disconnectUser, revokeTrackingAccess });
     
     // Initialize Socket.IO
     initSockets(io);
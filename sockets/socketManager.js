@@ -1,11 +1,18 @@
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../middleware/authMiddleware');
-const { getOne, runQuery } = require('../config/db');
-const { checkGeofence } = require('../utils/geofence');
+const { getOne, getAll, runQuery, runTransaction } = require('../config/db');
+const { checkGeofence, describeStoredLocation, haversineDistance, isGeofenceActive } = require('../utils/geofence');
+const { isSessionActive, touchSession } = require('../utils/session');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { activePermissionSql, recordPermissionChange } = require('../utils/permissions');
+const { getDosenPrivacyLevel } = require('../utils/privacy');
 
 // In-memory storage for online dosen status (dosenId -> socket count)
 const onlineDosenMap = new Map();
 
+// In-memory storage for connected sockets per login session (sessionId -> Set of sockets)
+const sessionSocketsMap = new Map();
+
 // In-memory storage for last location save timestamps (userId -> timestamp)
 const lastSaveTimestamps = new Map();
 
@@ -15,6 +22,32 @@ const LOCATION_SAVE_THROTTLE_MS = 60000;
 // Throttle interval for location logging (3600000 ms = 1 hour)
 const LOCATION_LOG_THROTTLE_MS = 3600000;
 
+// Hysteresis against zone flapping from GPS jitter: a new zone must contain the
+// point by the entry buffer, the current zone is kept until the point is the exit
+// buffer outside it, and a zone change must hold for the dwell time
+const GEOFENCE_ENTRY_BUFFER_METERS = parseInt(process.env.GEOFENCE_ENTRY_BUFFER_METERS ?? '10', 10) || 0;
+const GEOFENCE_EXIT_BUFFER_METERS = parseInt(process.env.GEOFENCE_EXIT_BUFFER_METERS ?? '20', 10) || 0;
+const GEOFENCE_DWELL_MS = (parseInt(process.env.GEOFENCE_DWELL_SECONDS ?? '30', 10) || 0) * 1000;
+
+// In-memory accepted zone per dosen (userId -> { result, pendingZoneId, pendingSince })
+const zoneStateMap = new Map();
+
+// Fixes implying a faster movement than this are dropped as GPS jumps
+const GPS_MAX_SPEED_KMH = parseInt(process.env.GPS_MAX_SPEED_KMH, 10) || 200;
+
+// Device clocks may run a little ahead of the server
+const GPS_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// After this many jumps in a row the last accepted fix was probably the bad one,
+// so the next fix is accepted to let the dosen recover
+const GPS_MAX_CONSECUTIVE_JUMPS = 3;
+
+// In-memory last accepted fix per dosen (userId -> { lat, long, accuracy, timestamp, jumps })
+const lastFixMap = new Map();
+
+// How often expired permissions are closed on live sockets
+const PERMISSION_EXPIRY_INTERVAL_MS = 60000;
+
 /**
  * Get online status for a dosen
  * @param {number} dosenId - The dosen user ID
@@ -25,6 +58,193 @@ const isDosenOnline = (dosenId) => {
   return socketCount !== undefined && socketCount > 0;
 };
 
+/**
+ * Get number of live sockets opened with a login session
+ * @param {string} sessionId - Session ID
+ * @returns {number} Connected socket count
+ */
+const getSessionSocketCount = (sessionId) => {
+  const sockets = sessionSocketsMap.get(sessionId);
+  return sockets ? sockets.size : 0;
+};
+
+/**
+ * Disconnect all live sockets of a revoked session
+ * @param {string} sessionId - Session ID
+ * @param {string} event - Event sent to the client before disconnecting
+ * @param {string} message - Message sent with the event
+ * @returns {number} Number of sockets disconnected
+ */
+const disconnectSession = (sessionId, event = 'session_revoked', message = 'Your session has been signed out') => {
+  const sockets = sessionSocketsMap.get(sessionId);
+  
+  if (!sockets) {
+    return 0;
+  }
+  
+  // Copy first - disconnect handlers remove sockets from the set
+  const targets = [...sockets];
+  targets.forEach(socket => {
+    socket.emit(event, { message });
+    socket.disconnect(true);
+  });
+  
+  return targets.length;
+};
+
+/**
+ * Disconnect all live sockets of a user across every session
+ * @param {string} userId - User ID
+ * @param {string} [event] - Event sent to the client before disconnecting
+ * @param {string} [message] - Message sent with the event
+ * @returns {number} Number of sockets disconnected
+ */
+const disconnectUser = (userId, event, message) => {
+  let count = 0;
+  
+  for (const [sessionId, sockets] of [...sessionSocketsMap]) {
+    const [first] = sockets;
+    if (first && first.user.id === userId) {
+      count += disconnectSession(sessionId, event, message);
+    }
+  }
+  
+  return count;
+};
+
+/**
+ * Remove mahasiswa sockets from a dosen room after their permission ended or was suspended
+ * Sockets are told with permission_revoked. With a studentId every socket of that
+ * mahasiswa is told (their list of dosen changed); without one, every mahasiswa socket
+ * in the room is removed (e.g. the dosen was deleted).
+ * @param {string} dosenId - Dosen user ID
+ * @param {string|null} [studentId] - Mahasiswa user ID (null = all mahasiswa in the room)
+ * @param {Object} [details] - { status, reason } sent with the event (status defaults to 'revoked')
+ * @returns {number} Number of sockets removed from the room
+ */
+const revokeTrackingAccess = (dosenId, studentId = null, { status = 'revoked', reason = null } = {}) => {
+  const roomName = `room:dosen_${dosenId}`;
+  const messages = {
+    suspended: 'Your permission to track this dosen is suspended',
+    expired: 'Your permission to track this dosen has expired'
+  };
+  const message = messages[status] || 'Your permission to track this dosen has ended';
+  let count = 0;
+  
+  for (const sockets of sessionSocketsMap.values()) {
+    for (const socket of sockets) {
+      const inRoom = socket.rooms.has(roomName);
+      const affected = socket.user.role === 'mahasiswa' &&
+        (studentId ? socket.user.id === studentId : inRoom);
+      
+      if (!affected) {
+        continue;
+      }
+      
+      if (inRoom) {
+        socket.leave(roomName);
+        count++;
+      }
+      socket.emit('permission_revoked', { dosen_id: dosenId, status, reason, message });
+    }
+  }
+  
+  return count;
+};
+
+/**
+ * Tell a mahasiswa that a suspended permission was resumed
+ * Every socket of that mahasiswa gets permission_resumed so clients can join the
+ * dosen room again (join_dosen_room) and refresh their list of dosen.
+ * @param {string} dosenId - Dosen user ID
+ * @param {string} studentId - Mahasiswa user ID
+ * @returns {number} Number of sockets told
+ */
+const resumeTrackingAccess = (dosenId, studentId) => {
+  let count = 0;
+  
+  for (const sockets of sessionSocketsMap.values()) {
+    for (const socket of sockets) {
+      if (socket.user.id === studentId) {
+        socket.emit('permission_resumed', {
+          dosen_id: dosenId,
+          status: 'approved',
+          message: 'Your permission to track this dosen was resumed'
+        });
+        count++;
+      }
+    }
+  }
+  
+  return count;
+};
+
+/**
+ * Mark permissions past their expires_at as expired and remove those mahasiswa from
+ * the dosen rooms. Reads already treat them as expired; this periodic sweep closes
+ * live sessions without a lookup on every location update.
+ */
+const expirePermissions = async () => {
+  try {
+    const expired = await getAll(
+      `SELECT id, student_id, lecturer_id FROM tracking_permissions 
+       WHERE status IN ('approved', 'suspended') AND expires_at <= CURRENT_TIMESTAMP`
+    );
+    
+    for (const permission of expired) {
+      // Skip permissions renewed or ended since the SELECT
+      const changed = await runTransaction(async () => {
+        const result = await runQuery(
+          `UPDATE tracking_permissions 
+           SET status = 'expired', status_reason = NULL, suspended_until = NULL, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ? AND status IN ('approved', 'suspended') AND expires_at <= CURRENT_TIMESTAMP`,
+          [permission.id]
+        );
+        if (result.changes > 0) {
+          await recordPermissionChange(permission.id, { action: 'expired', status: 'expired' });
+        }
+        return result.changes > 0;
+      });
+      
+      if (changed) {
+        revokeTrackingAccess(permission.lecturer_id, permission.student_id, { status: 'expired' });
+      }
+    }
+  } catch (error) {
+    console.error('Permission expiry error:', error.message);
+  }
+};
+
+/**
+ * Send a dosen's online status to the mahasiswa with approved permission to track them
+ * Every mahasiswa socket sits in its own room, so the status reaches students whether or
+ * not they have joined the dosen room, and nobody else.
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} dosen - { id, name }
+ * @param {boolean} isOnline - Online status
+ */
+const emitDosenStatus = async (io, dosen, isOnline) => {
+  try {
+    const permissions = await getAll(
+      `SELECT student_id FROM tracking_permissions 
+       WHERE lecturer_id = ? AND ${activePermissionSql()}`,
+      [dosen.id]
+    );
+    
+    if (permissions.length === 0) {
+      return;
+    }
+    
+    io.to(permissions.map(permission => `room:mahasiswa_${permission.student_id}`)).emit('dosen_status', {
+      dosen_id: dosen.id,
+      name: dosen.name,
+      is_online: isOnline
+    });
+  } catch (error) {
+    console.error('Dosen status error:', error.message);
+  }
+};
+
 /**
  * Initialize Socket.IO with authentication and event handlers
  * @param {Server} io - Socket.IO server instance
@@ -41,16 +261,41 @@ const initSockets = (io) => {
       
       // Verify JWT token
       const decoded = jwt.verify(token, JWT_SECRET);
+      
+      // Reject tokens whose session was revoked (logout) or expired
+      const sessionActive = await isSessionActive(decoded.sid);
+      
+      if (!sessionActive) {
+        return next(new Error('Session has been revoked'));
+      }
+      
       socket.user = decoded;
       
       // Verify user exists and get role
-      const user = await getOne('SELECT id, name FROM users WHERE id = ?', [decoded.id]);
+      const user = await getOne(
+        'SELECT id, name, must_change_password, totp_enabled, token_version FROM users WHERE id = ?',
+        [decoded.id]
+      );
       
       if (!user) {
         return next(new Error('User not found'));
       }
       
+      // Token issued before a role change - client must refresh first
+      if ((decoded.ver || 0) !== (user.token_version || 0)) {
+        return next(new Error('Token is no longer valid'));
+      }
+      
+      if (user.must_change_password) {
+        return next(new Error('Password change required'));
+      }
+      
+      if (!user.totp_enabled && await isTwoFactorRequired(decoded.role)) {
+        return next(new Error('Two-factor authentication setup required'));
+      }
+      
       socket.user.name = user.name;
+      await touchSession(decoded.sid);
       next();
       
     } catch (error) {
@@ -63,6 +308,12 @@ const initSockets = (io) => {
     const user = socket.user;
     console.log(`User connected: ${user.name} (ID: ${user.id}, Role: ${user.role})`);
 
+    // Track socket under its login session so it can be killed on logout
+    if (!sessionSocketsMap.has(user.sid)) {
+      sessionSocketsMap.set(user.sid, new Set());
+    }
+    sessionSocketsMap.get(user.sid).add(socket);
+
     // Handle Dosen connection
     if (user.role === 'dosen') {
       handleDosenConnection(io, socket, user);
@@ -98,6 +349,9 @@ const initSockets = (io) => {
     });
   });
 
+  // Close expired permissions on live sockets (unref: does not keep the process alive)
+  setInterval(expirePermissions, PERMISSION_EXPIRY_INTERVAL_MS).unref();
+
   console.log('Socket.IO initialized');
 };
 
@@ -112,13 +366,9 @@ const handleDosenConnection = (io, socket, user) => {
   const currentCount = onlineDosenMap.get(user.id) || 0;
   onlineDosenMap.set(user.id, currentCount + 1);
   
-  // Broadcast online status if this is the first connection
+  // Tell allowed mahasiswa if this is the first connection
   if (currentCount === 0) {
-    io.emit('dosen_status', {
-      dosen_id: user.id,
-      name: user.name,
-      is_online: true
-    });
+    emitDosenStatus(io, user, true);
     console.log(`Dosen ${user.name} is now online`);
   }
 };
@@ -127,6 +377,9 @@ const handleDosenConnection = (io, socket, user) => {
  * Handle Mahasiswa connection
  */
 const handleMahasiswaConnection = async (io, socket, user) => {
+  // Personal room for status of the dosen this mahasiswa may track
+  socket.join(`room:mahasiswa_${user.id}`);
+  
   // Mahasiswa can join rooms of approved dosen
   console.log(`Mahasiswa ${user.name} connected`);
 };
@@ -152,13 +405,47 @@ const handleLocationUpdate = async (io, socket, user, data) => {
     }
 
     // Validate coordinates
-    if (typeof lat !== 'number' || typeof long !== 'number') {
+    if (!Number.isFinite(lat) || !Number.isFinite(long)) {
       socket.emit('error', { message: 'Invalid coordinate format' });
       return;
     }
 
-    // Step A: Check geofence and apply privacy masking
-    const geofenceResult = await checkGeofence(lat, long);
+    if (lat < -90 || lat > 90 || long < -180 || long > 180) {
+      socket.emit('error', { message: 'Coordinates out of range: latitude must be -90..90 and longitude -180..180' });
+      return;
+    }
+
+    // Optional fix details: accuracy (m), speed (m/s), heading (degrees), device timestamp
+    const { fix, error } = parseFixDetails(data);
+    
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+
+    // Drop fixes older than the last one or implying an impossible speed
+    const rejection = checkFixPlausibility(user.id, lat, long, fix);
+    
+    if (rejection) {
+      socket.emit('location_updated', { success: false, discarded: true, ...rejection });
+      return;
+    }
+
+    // Step A: Check geofence and apply privacy masking (with the dosen's privacy level)
+    const privacyLevel = await getDosenPrivacyLevel(user.id);
+    const { geofenceResult, pending, discarded } = await resolveZoneChange(user.id, lat, long, fix.accuracy, privacyLevel);
+    
+    if (discarded) {
+      socket.emit('location_updated', {
+        success: false,
+        discarded: true,
+        reason: 'low_accuracy',
+        message: 'Fix accuracy is larger than the geofence'
+      });
+      return;
+    }
+    
+    lastFixMap.set(user.id, { lat, long, accuracy: fix.accuracy, timestamp: fix.timestamp, jumps: 0 });
     
     // Step B: Broadcast to room immediately with processed coordinates
     const locationData = {
@@ -167,7 +454,12 @@ const handleLocationUpdate = async (io, socket, user, data) => {
       latitude: geofenceResult.displayLat,
       longitude: geofenceResult.displayLong,
       position_name: geofenceResult.locationName,
+      zone_path: geofenceResult.zonePath,
       is_inside: geofenceResult.isInside,
+      // Fix details would reveal movement, so they are only shared with exact positions
+      accuracy: geofenceResult.privacyLevel === 'exact' ? fix.accuracy : null,
+      speed: geofenceResult.privacyLevel === 'exact' ? fix.speed : null,
+      heading: geofenceResult.privacyLevel === 'exact' ? fix.heading : null,
       last_updated: new Date().toISOString()
     };
     
@@ -186,9 +478,10 @@ const handleLocationUpdate = async (io, socket, user, data) => {
     // Step D: Log to history (on-campus only)
     await logLocationToHistory(user.id, geofenceResult);
 
-    // Acknowledge the update
+    // Acknowledge the update (a pending zone change is still shown with the last accepted zone)
     socket.emit('location_updated', { 
       success: true, 
+      zone_change_pending: pending,
       processed: locationData 
     });
 
@@ -198,6 +491,126 @@ const handleLocationUpdate = async (io, socket, user, data) => {
   }
 };
 
+/**
+ * Read the optional fix details sent with update_location
+ * @param {Object} data - update_location payload
+ * @returns {Object} { fix: { accuracy, speed, heading, timestamp } } or { error }
+ *   (timestamp in ms, the server time when the device sent none)
+ */
+const parseFixDetails = (data) => {
+  const fix = { accuracy: null, speed: null, heading: null, timestamp: Date.now() };
+  const limits = { accuracy: Infinity, speed: Infinity, heading: 360 };
+  
+  for (const [field, max] of Object.entries(limits)) {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+      const range = max === Infinity ? 'a non-negative number' : `a number between 0 and ${max}`;
+      return { error: `Invalid ${field}. Must be ${range}` };
+    }
+    fix[field] = value;
+  }
+  
+  if (data.timestamp !== undefined && data.timestamp !== null) {
+    const timestamp = typeof data.timestamp === 'number' ? data.timestamp : Date.parse(data.timestamp);
+    if (!Number.isFinite(timestamp)) {
+      return { error: 'Invalid timestamp. Use milliseconds since epoch or an ISO 8601 string' };
+    }
+    if (timestamp > Date.now() + GPS_MAX_CLOCK_SKEW_MS) {
+      return { error: 'Invalid timestamp. It is in the future' };
+    }
+    fix.timestamp = timestamp;
+  }
+  
+  return { fix };
+};
+
+/**
+ * Reject fixes older than the last accepted one or implying an impossible movement
+ * The accuracy radii of both fixes are subtracted from the distance first.
+ * @param {string} userId - Dosen user ID
+ * @param {number} lat - Reported latitude
+ * @param {number} long - Reported longitude
+ * @param {Object} fix - Result of parseFixDetails
+ * @returns {Object|null} { reason, message } when the fix must be dropped
+ */
+const checkFixPlausibility = (userId, lat, long, fix) => {
+  const last = lastFixMap.get(userId);
+  
+  if (!last) {
+    return null;
+  }
+  
+  if (fix.timestamp < last.timestamp) {
+    return { reason: 'stale', message: 'Fix is older than the last accepted location' };
+  }
+  
+  const distanceKm = haversineDistance(last.lat, last.long, lat, long) -
+    ((fix.accuracy || 0) + (last.accuracy || 0)) / 1000;
+  const hours = Math.max(fix.timestamp - last.timestamp, 1000) / 3600000;
+  
+  if (distanceKm / hours > GPS_MAX_SPEED_KMH && last.jumps < GPS_MAX_CONSECUTIVE_JUMPS) {
+    last.jumps++;
+    return { reason: 'impossible_jump', message: `Fix implies moving faster than ${GPS_MAX_SPEED_KMH} km/h` };
+  }
+  
+  return null;
+};
+
+/**
+ * Check a dosen's position against the geofences with hysteresis and dwell time
+ * The first position is accepted right away; after that a zone change is only
+ * accepted once the new zone has been seen for GEOFENCE_DWELL_MS.
+ * @param {string} userId - Dosen user ID
+ * @param {number} lat - Reported latitude
+ * @param {number} long - Reported longitude
+ * @param {number|null} accuracy - Accuracy radius of the fix in meters
+ * @param {string} privacyLevel - Dosen privacy level
+ * @returns {Promise<Object>} { geofenceResult, pending } - while a zone change is pending,
+ *   geofenceResult keeps the last accepted zone, with the new position when both zones show
+ *   exact positions; { discarded: true } when the fix is too imprecise
+ */
+const resolveZoneChange = async (userId, lat, long, accuracy = null, privacyLevel = 'exact') => {
+  const state = zoneStateMap.get(userId);
+  const geofenceResult = await checkGeofence(lat, long, {
+    dosenId: userId,
+    privacyLevel,
+    currentZoneId: state ? state.result.zoneId : null,
+    entryBufferKm: GEOFENCE_ENTRY_BUFFER_METERS / 1000,
+    exitBufferKm: GEOFENCE_EXIT_BUFFER_METERS / 1000
+  });
+  
+  // A fix less precise than the fence it lands in (or leaves) cannot tell the zone
+  const fence = geofenceResult.zoneId ? geofenceResult : state && state.result.zoneId ? state.result : null;
+  if (accuracy !== null && fence && accuracy / 1000 > fence.zoneRadiusKm) {
+    return { discarded: true };
+  }
+  
+  // Entering a private zone is accepted at once so the location is never shown there, and
+  // leaving a zone whose active hours ended so it is not shown outside them
+  const zoneEnded = state && state.result.zoneId !== null && !(await isGeofenceActive(state.result.zoneId));
+  if (state && state.result.zoneId !== geofenceResult.zoneId && !geofenceResult.isPrivate && !zoneEnded) {
+    const now = Date.now();
+    if (state.pendingZoneId !== geofenceResult.zoneId) {
+      state.pendingZoneId = geofenceResult.zoneId;
+      state.pendingSince = now;
+    }
+    
+    if (now - state.pendingSince < GEOFENCE_DWELL_MS) {
+      // Keep moving on the map, but never show an exact position the new zone would mask
+      if (state.result.privacyLevel === 'exact' && geofenceResult.privacyLevel === 'exact') {
+        state.result = { ...state.result, displayLat: geofenceResult.displayLat, displayLong: geofenceResult.displayLong };
+      }
+      return { geofenceResult: state.result, pending: true };
+    }
+  }
+  
+  zoneStateMap.set(userId, { result: geofenceResult, pendingZoneId: undefined, pendingSince: 0 });
+  return { geofenceResult, pending: false };
+};
+
 /**
  * Save location to database with throttling (60 seconds)
  */
@@ -210,16 +623,16 @@ const saveLocation = async (userId, geofenceResult) => {
       // Update existing record
       await runQuery(
         `UPDATE locations 
-         SET latitude = ?, longitude = ?, position_name = ?, last_updated = CURRENT_TIMESTAMP 
+         SET latitude = ?, longitude = ?, position_name = ?, zone_path = ?, zone_id = ?, last_updated = CURRENT_TIMESTAMP 
          WHERE user_id = ?`,
-        [geofenceResult.displayLat, geofenceResult.displayLong, geofenceResult.locationName, userId]
+        [geofenceResult.displayLat, geofenceResult.displayLong, geofenceResult.locationName, JSON.stringify(geofenceResult.zonePath), geofenceResult.zoneId, userId]
       );
     } else {
       // Insert new record
       await runQuery(
-        `INSERT INTO locations (user_id, latitude, longitude, position_name) 
-         VALUES (?, ?, ?, ?)`,
-        [userId, geofenceResult.displayLat, geofenceResult.displayLong, geofenceResult.locationName]
+        `INSERT INTO locations (user_id, latitude, longitude, position_name, zone_path, zone_id) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, geofenceResult.displayLat, geofenceResult.displayLong, geofenceResult.locationName, JSON.stringify(geofenceResult.zonePath), geofenceResult.zoneId]
       );
     }
   } catch (error) {
@@ -282,9 +695,9 @@ const logLocationToHistory = async (userId, geofenceResult) => {
       // Always insert new history log
       const { v4: uuidv4 } = require('uuid');
       await runQuery(
-        `INSERT INTO location_history (id, dosen_id, day_of_week, location_name, latitude, longitude, logged_date)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [uuidv4(), userId, dayOfWeek, geofenceResult.locationName, geofenceResult.displayLat, geofenceResult.displayLong, today]
+        `INSERT INTO location_history (id, dosen_id, day_of_week, location_name, zone_path, latitude, longitude, logged_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), userId, dayOfWeek, geofenceResult.locationName, JSON.stringify(geofenceResult.zonePath), geofenceResult.displayLat, geofenceResult.displayLong, today]
       );
       console.log(`Logged location for dosen ${userId} on day ${dayOfWeek} (${today}) - ${reason}`);
     }
@@ -316,7 +729,7 @@ const handleJoinDosenRoom = async (io, socket, user, data) => {
     // Verify mahasiswa has approved permission to track this dosen
     const permission = await getOne(
       `SELECT id FROM tracking_permissions 
-       WHERE student_id = ? AND lecturer_id = ? AND status = 'approved'`,
+       WHERE student_id = ? AND lecturer_id = ? AND ${activePermissionSql()}`,
       [user.id, dosenId]
     );
 
@@ -344,18 +757,24 @@ const handleJoinDosenRoom = async (io, socket, user, data) => {
     });
     
     // If dosen is online, also send their last known location to this mahasiswa
+    // (described with the current geofences and privacy settings)
     if (isOnline) {
       const location = await getOne(
-        'SELECT latitude, longitude, position_name, last_updated FROM locations WHERE user_id = ?',
+        `SELECT l.latitude, l.longitude, l.zone_id, l.last_updated, d.privacy_level
+         FROM locations l
+         JOIN dosen d ON d.user_id = l.user_id
+         WHERE l.user_id = ?`,
         [dosenId]
       );
       if (location) {
+        const geofenceResult = await describeStoredLocation(location, dosenId, location.privacy_level);
         socket.emit('dosen_moved', {
           dosen_id: dosenId,
           name: dosenName,
-          latitude: location.latitude,
-          longitude: location.longitude,
-          position_name: location.position_name,
+          latitude: geofenceResult.displayLat,
+          longitude: geofenceResult.displayLong,
+          position_name: geofenceResult.locationName,
+          zone_path: geofenceResult.zonePath,
           last_updated: location.last_updated
         });
       }
@@ -381,6 +800,15 @@ const handleJoinDosenRoom = async (io, socket, user, data) => {
 const handleDisconnect = (io, socket, user) => {
   console.log(`User disconnected: ${user.name} (ID: ${user.id})`);
   
+  // Remove socket from its session
+  const sessionSockets = sessionSocketsMap.get(user.sid);
+  if (sessionSockets) {
+    sessionSockets.delete(socket);
+    if (sessionSockets.size === 0) {
+      sessionSocketsMap.delete(user.sid);
+    }
+  }
+  
   // Update dosen online status
   if (user.role === 'dosen') {
     const currentCount = onlineDosenMap.get(user.id) || 0;
@@ -388,13 +816,11 @@ const handleDisconnect = (io, socket, user) => {
     
     if (newCount === 0) {
       onlineDosenMap.delete(user.id);
+      zoneStateMap.delete(user.id);
+      lastFixMap.delete(user.id);
       
-      // Broadcast offline status
-      io.emit('dosen_status', {
-        dosen_id: user.id,
-        name: user.name,
-        is_online: false
-      });
+      // Tell allowed mahasiswa
+      emitDosenStatus(io, user, false);
       console.log(`Dosen ${user.name} is now offline`);
     } else {
       onlineDosenMap.set(user.id, newCount);
@@ -404,5 +830,10 @@ const handleDisconnect = (io, socket, user) => {
 
 module.exports = {
   initSockets,
-  isDosenOnline
+  isDosenOnline,
+  getSessionSocketCount,
+  disconnectSession,
+  disconnectUser,
+  revokeTrackingAccess,
+  resumeTrackingAccess
 };
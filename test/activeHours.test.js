@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getLocalTime } = require('../utils/schedule');
+const { ADMIN, DOSEN, MAHASISWA, startServer, waitForEvents } = require('./helpers');
+
+// A zone outside its active hours falls back to its active parent, without waiting for the dwell time
+
+const INDRALAYA = { latitude: -3.219741, longitude: 104.65122 };
+const ALWAYS = [{ days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '24:00' }];
+const NOT_TODAY = [{ days: [(getLocalTime().day + 3) % 7], start: '00:00', end: '24:00' }];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test('a room outside its hours shows its building at once', async () => {
+  const admin = await server.login(ADMIN);
+  const dosen = await server.login(DOSEN);
+  const mahasiswa = await server.login(MAHASISWA);
+
+  const { body: { geofences } } = await server.api('GET', '/admin/geofences', null, admin.token);
+  const campus = geofences.find(zone => zone.name === 'UNSRI Indralaya');
+
+  const building = await server.api('POST', '/admin/geofences', {
+    name: 'Gedung Test', ...INDRALAYA, radius_km: 0.3, zone_type: 'building', parent_id: campus.id
+  }, admin.token);
+  assert.equal(building.status, 201);
+  const room = await server.api('POST', '/admin/geofences', {
+    name: 'Ruang Test', ...INDRALAYA, radius_km: 0.05, zone_type: 'room', parent_id: building.body.geofence.id,
+    schedule: ALWAYS
+  }, admin.token);
+  assert.equal(room.status, 201);
+
+  const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+  await server.api('POST', '/tracking/handle', { permission_id: request.body.permission_id, action: 'approved' }, dosen.token);
+
+  const dosenSocket = await server.connect(dosen.token);
+  try {
+    dosenSocket.emit('update_location', { ...INDRALAYA, timestamp: Date.now() - 60000 });
+    let [ack] = await waitForEvents(dosenSocket, 'location_updated');
+    assert.equal(ack.processed.position_name, 'UNSRI Indralaya > Gedung Test > Ruang Test');
+
+    const updated = await server.api('PATCH', `/admin/geofences/${room.body.geofence.id}`, { schedule: NOT_TODAY }, admin.token);
+    assert.equal(updated.status, 200);
+
+    dosenSocket.emit('update_location', { ...INDRALAYA, timestamp: Date.now() });
+    [, ack] = await waitForEvents(dosenSocket, 'location_updated', 2);
+    assert.equal(ack.zone_change_pending, false);
+    assert.equal(ack.processed.position_name, 'UNSRI Indralaya > Gedung Test');
+  } finally {
+    dosenSocket.disconnect();
+  }
+
+  // The stored location still names the room, which is described with its active parent
+  const { body } = await server.api('GET', '/tracking/allowed-dosen', null, mahasiswa.token);
+  const reported = body.dosen.find(entry => entry.user_id === dosen.user.id);
+  assert.equal(reported.position_name, 'UNSRI Indralaya > Gedung Test');
+  assert.deepEqual(reported.zone_path.map(zone => zone.name), ['UNSRI Indralaya', 'Gedung Test']);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, DOSEN, MAHASISWA, sleep, startServer, waitForEvents } = require('./helpers');
+
+// dosen_status must only reach mahasiswa with an approved permission for that dosen
+
+// Grace period for events that must not arrive
+const SILENCE_MS = 500;
+
+let server;
+
+const statuses = (socket) => socket.received.filter(entry => entry.event === 'dosen_status');
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test('only mahasiswa with an approved permission receive dosen_status', async () => {
+  const admin = await server.login(ADMIN);
+  const dosen = await server.login(DOSEN);
+  const approved = await server.login(MAHASISWA);
+  const pending = await server.createMahasiswa(admin.token, 'Pending', '09021000001');
+  const unrelated = await server.createMahasiswa(admin.token, 'Unrelated', '09021000002');
+
+  const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, approved.token);
+  const permissionId = request.body.permission_id;
+  const handled = await server.api('POST', '/tracking/handle', { permission_id: permissionId, action: 'approved' }, dosen.token);
+  assert.equal(handled.status, 200);
+  await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, pending.token);
+
+  const approvedSocket = await server.connect(approved.token);
+  const pendingSocket = await server.connect(pending.token);
+  const unrelatedSocket = await server.connect(unrelated.token);
+
+  try {
+    // Dosen comes online
+    let dosenSocket = await server.connect(dosen.token);
+    const [online] = await waitForEvents(approvedSocket, 'dosen_status');
+    assert.deepEqual(online, { dosen_id: dosen.user.id, name: dosen.user.name, is_online: true });
+
+    // Dosen goes offline
+    dosenSocket.disconnect();
+    const [, offline] = await waitForEvents(approvedSocket, 'dosen_status', 2);
+    assert.equal(offline.is_online, false);
+
+    await sleep(SILENCE_MS);
+    assert.deepEqual(statuses(pendingSocket), []);
+    assert.deepEqual(statuses(unrelatedSocket), []);
+
+    // After revocation the former approved mahasiswa hears nothing either
+    const revoked = await server.api('POST', `/tracking/students/${permissionId}/revoke`, {}, dosen.token);
+    assert.equal(revoked.status, 200);
+
+    dosenSocket = await server.connect(dosen.token);
+    await sleep(SILENCE_MS);
+    dosenSocket.disconnect();
+    await sleep(SILENCE_MS);
+
+    assert.equal(statuses(approvedSocket).length, 2);
+    assert.deepEqual(statuses(pendingSocket), []);
+    assert.deepEqual(statuses(unrelatedSocket), []);
+  } finally {
+    [approvedSocket, pendingSocket, unrelatedSocket].forEach(socket => socket.disconnect());
+  }
+});
@@ -0,0 +1,131 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+// Seeded accounts (see config/db.js)
+const ADMIN = { email: 'admin@unsri.ac.id', password: 'admin123' };
+const DOSEN = { email: 'dosen1@unsri.ac.id', password: 'dosen123' };
+const MAHASISWA = { email: 'mahasiswa1@unsri.ac.id', password: 'mahasiswa123' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start the server on a random port with a fresh temporary database
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<Object>} { api, login, connect, createMahasiswa, stop }
+ */
+const startServer = async (env = {}) => {
+  const port = 10000 + Math.floor(Math.random() * 20000);
+  const baseUrl = `http://localhost:${port}`;
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mydosen-test-'));
+  const serverProcess = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env, PORT: String(port), DB_PATH: path.join(tempDir, 'test.sqlite') },
+    stdio: 'ignore'
+  });
+
+  /**
+   * Call the REST API
+   * @param {string} method - HTTP method
+   * @param {string} route - Path below /api/v1
+   * @param {Object} [body] - JSON body
+   * @param {string} [token] - Access token
+   * @returns {Promise<Object>} { status, body }
+   */
+  const api = async (method, route, body, token) => {
+    const response = await fetch(`${baseUrl}/api/v1${route}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const login = async ({ email, password }) => {
+    const { status, body } = await api('POST', '/auth/login', { email, password });
+    assert.equal(status, 200, `login ${email}: ${JSON.stringify(body)}`);
+    return body;
+  };
+
+  /**
+   * Open a socket that records every event it receives in socket.received
+   * @param {string} token - Access token
+   * @returns {Promise<Socket>} Connected socket
+   */
+  const connect = (token) => {
+    return new Promise((resolve, reject) => {
+      const socket = io(baseUrl, {
+        path: '/api/v1/io',
+        auth: { token },
+        transports: ['websocket'],
+        reconnection: false
+      });
+      socket.received = [];
+      socket.onAny((event, data) => socket.received.push({ event, data }));
+      socket.on('connect', () => resolve(socket));
+      socket.on('connect_error', reject);
+    });
+  };
+
+  /**
+   * Create a mahasiswa account through the admin API and log in
+   * @param {string} adminToken - Admin access token
+   * @param {string} name - Name, also used for the email address
+   * @param {string} nim - NIM
+   * @returns {Promise<Object>} Login response
+   */
+  const createMahasiswa = async (adminToken, name, nim) => {
+    const credentials = { email: `${name.toLowerCase()}@student.unsri.ac.id`, password: 'mahasiswa123' };
+    const { status } = await api('POST', '/admin/users', { name, ...credentials, role: 'mahasiswa', nim }, adminToken);
+    assert.equal(status, 201);
+    return login(credentials);
+  };
+
+  const stop = () => {
+    serverProcess.kill();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  };
+
+  for (let i = 0; i < 100; i++) {
+    try {
+      await fetch(`${baseUrl}/health`);
+      return { api, login, connect, createMahasiswa, stop };
+    } catch (error) {
+      await sleep(200);
+    }
+  }
+
+  stop();
+  throw new Error('Server did not start');
+};
+
+/**
+ * Wait until a socket received an event
+ * @param {Socket} socket - Socket from connect
+ * @param {string} event - Event name
+ * @param {number} [count] - Number of events to wait for
+ * @returns {Promise<Object[]>} Data of the received events
+ */
+const waitForEvents = async (socket, event, count = 1) => {
+  const matching = () => socket.received.filter(entry => entry.event === event).map(entry => entry.data);
+  for (let i = 0; i < 50 && matching().length < count; i++) {
+    await sleep(100);
+  }
+  assert.equal(matching().length, count, `expected ${count} ${event} event(s)`);
+  return matching();
+};
+
+module.exports = {
+  ADMIN,
+  DOSEN,
+  MAHASISWA,
+  sleep,
+  startServer,
+  waitForEvents
+};
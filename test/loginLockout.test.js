@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, DOSEN, startServer } = require('./helpers');
+
+// Repeated wrong passwords lock the account, even for the right password, until an admin unlocks it
+
+let server;
+
+before(async () => {
+  server = await startServer({ LOGIN_MAX_ATTEMPTS: '3' });
+});
+
+after(() => {
+  server.stop();
+});
+
+test('an account is locked after the maximum failed logins', async () => {
+  const { user } = await server.login(DOSEN);
+  const wrong = { email: DOSEN.email, password: 'salah123' };
+
+  assert.equal((await server.api('POST', '/auth/login', wrong)).status, 401);
+  assert.equal((await server.api('POST', '/auth/login', wrong)).status, 401);
+  const locked = await server.api('POST', '/auth/login', wrong);
+  assert.equal(locked.status, 423);
+
+  const correct = await server.api('POST', '/auth/login', DOSEN);
+  assert.equal(correct.status, 423);
+  assert.ok(correct.body.retry_after > 0);
+
+  // Other accounts from the same IP are not affected
+  const admin = await server.login(ADMIN);
+
+  const unlocked = await server.api('POST', `/admin/users/${user.id}/unlock`, {}, admin.token);
+  assert.equal(unlocked.status, 200);
+  await server.login(DOSEN);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, DOSEN, MAHASISWA, startServer, waitForEvents } = require('./helpers');
+
+// Locations outside all geofences are stored as the masked point and must stay masked
+
+const BANDUNG = { latitude: -6.914744, longitude: 107.60981 };
+const MASKED_POINT = { latitude: -3.1, longitude: 104.2, location_name: 'Di Luar Kampus (Test)' };
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test('masked location cannot be set inside a geofence', async () => {
+  const admin = await server.login(ADMIN);
+
+  const inside = await server.api('PUT', '/admin/masked-location', {
+    latitude: -3.219741,
+    longitude: 104.65122,
+    location_name: 'UNSRI'
+  }, admin.token);
+  assert.equal(inside.status, 400);
+
+  const outside = await server.api('PUT', '/admin/masked-location', MASKED_POINT, admin.token);
+  assert.equal(outside.status, 200);
+});
+
+test('a stored outside location is reported as masked, not geofenced again', async () => {
+  const admin = await server.login(ADMIN);
+  const dosen = await server.login(DOSEN);
+  const mahasiswa = await server.login(MAHASISWA);
+
+  const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+  const handled = await server.api('POST', '/tracking/handle', {
+    permission_id: request.body.permission_id,
+    action: 'approved'
+  }, dosen.token);
+  assert.equal(handled.status, 200);
+
+  const dosenSocket = await server.connect(dosen.token);
+  try {
+    dosenSocket.emit('update_location', BANDUNG);
+    const [ack] = await waitForEvents(dosenSocket, 'location_updated');
+    assert.equal(ack.success, true);
+    assert.equal(ack.processed.position_name, MASKED_POINT.location_name);
+  } finally {
+    dosenSocket.disconnect();
+  }
+
+  const describeDosen = async () => {
+    const { status, body } = await server.api('GET', '/tracking/allowed-dosen', null, mahasiswa.token);
+    assert.equal(status, 200);
+    return body.dosen.find(entry => entry.user_id === dosen.user.id);
+  };
+
+  let reported = await describeDosen();
+  assert.equal(reported.position_name, MASKED_POINT.location_name);
+  assert.deepEqual(reported.zone_path, []);
+
+  // A geofence created around the masked point later must not claim the stored location
+  const created = await server.api('POST', '/admin/geofences', {
+    name: 'Around Masked Point',
+    latitude: MASKED_POINT.latitude,
+    longitude: MASKED_POINT.longitude,
+    radius_km: 1
+  }, admin.token);
+  assert.equal(created.status, 201);
+
+  reported = await describeDosen();
+  assert.equal(reported.position_name, MASKED_POINT.location_name);
+  assert.deepEqual(reported.zone_path, []);
+});
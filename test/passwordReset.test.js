@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAHASISWA, startServer } = require('./helpers');
+
+// Reset tokens are mailed, single-use and end every session of the account
+
+const NEW_PASSWORD = 'Baru12345';
+
+let server;
+let outboxDir;
+
+before(async () => {
+  outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mydosen-outbox-'));
+  server = await startServer({ MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: outboxDir });
+});
+
+after(() => {
+  server.stop();
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+/**
+ * Read the reset token from the messages in the outbox
+ * @returns {string[]} Tokens, oldest first
+ */
+const readMailedTokens = () => {
+  return fs.readdirSync(outboxDir).sort().map(fileName => {
+    const message = JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8'));
+    return message.text.match(/token=([A-Za-z0-9_-]+)/)[1];
+  });
+};
+
+test('a mailed reset token sets a new password once', async () => {
+  const session = await server.login(MAHASISWA);
+
+  const unknown = await server.api('POST', '/auth/forgot-password', { email: 'nobody@unsri.ac.id' });
+  const known = await server.api('POST', '/auth/forgot-password', { email: MAHASISWA.email });
+  assert.equal(unknown.status, 200);
+  assert.equal(known.status, 200);
+  assert.equal(unknown.body.message, known.body.message);
+
+  const [token] = readMailedTokens();
+  assert.ok(token);
+
+  const weak = await server.api('POST', '/auth/reset-password', { token, new_password: 'short' });
+  assert.equal(weak.status, 400);
+
+  const reset = await server.api('POST', '/auth/reset-password', { token, new_password: NEW_PASSWORD });
+  assert.equal(reset.status, 200);
+
+  const replayed = await server.api('POST', '/auth/reset-password', { token, new_password: 'Lain12345' });
+  assert.equal(replayed.status, 400);
+
+  assert.equal((await server.api('GET', '/auth/profile', null, session.token)).status, 401);
+  assert.equal((await server.api('POST', '/auth/login', MAHASISWA)).status, 401);
+  await server.login({ email: MAHASISWA.email, password: NEW_PASSWORD });
+});
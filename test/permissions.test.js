@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, DOSEN, startServer, waitForEvents } = require('./helpers');
+
+// Permission state machine: allowed transitions, conflicts and concurrent changes
+
+let server;
+let admin;
+let dosen;
+let nextNim = 9021000100;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login(ADMIN);
+  dosen = await server.login(DOSEN);
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Create a mahasiswa with an approved permission for the seeded dosen
+ * @param {string} name - Mahasiswa name
+ * @returns {Promise<Object>} { mahasiswa, permissionId }
+ */
+const createApprovedPermission = async (name) => {
+  const mahasiswa = await server.createMahasiswa(admin.token, name, `0${nextNim++}`);
+  const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+  assert.equal(request.status, 201);
+  const handled = await server.api('POST', '/tracking/handle', {
+    permission_id: request.body.permission_id,
+    action: 'approved'
+  }, dosen.token);
+  assert.equal(handled.status, 200);
+  return { mahasiswa, permissionId: request.body.permission_id };
+};
+
+const getHistory = async (permissionId) => {
+  const { status, body } = await server.api('GET', `/tracking/permissions/${permissionId}/history`, null, dosen.token);
+  assert.equal(status, 200);
+  return body.history.map(entry => entry.action);
+};
+
+test('suspend, resume and revoke follow the state machine', async () => {
+  const { mahasiswa, permissionId } = await createApprovedPermission('Transitions');
+  const studentAction = (action, body = {}) =>
+    server.api('POST', `/tracking/students/${permissionId}/${action}`, body, dosen.token);
+
+  assert.equal((await studentAction('resume')).status, 409);
+
+  const suspended = await studentAction('suspend', { duration_days: 3, reason: 'Cuti' });
+  assert.equal(suspended.status, 200);
+  assert.equal(suspended.body.new_status, 'suspended');
+
+  const socket = await server.connect(mahasiswa.token);
+  try {
+    const resumed = await studentAction('resume');
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.new_status, 'approved');
+
+    const [event] = await waitForEvents(socket, 'permission_resumed');
+    assert.equal(event.dosen_id, dosen.user.id);
+    assert.equal(event.status, 'approved');
+  } finally {
+    socket.disconnect();
+  }
+
+  assert.equal((await studentAction('revoke')).status, 200);
+  assert.equal((await studentAction('revoke')).status, 409);
+  assert.equal((await studentAction('suspend', { duration_days: 1 })).status, 409);
+
+  const withdrawn = await server.api('POST', `/tracking/my-requests/${permissionId}/withdraw`, {}, mahasiswa.token);
+  assert.equal(withdrawn.status, 409);
+
+  const handled = await server.api('POST', '/tracking/handle', { permission_id: permissionId, action: 'approved' }, dosen.token);
+  assert.equal(handled.status, 409);
+
+  assert.deepEqual(await getHistory(permissionId), ['requested', 'approved', 'suspended', 'resumed', 'revoked']);
+});
+
+test('of concurrent changes only one is applied', async () => {
+  const { mahasiswa, permissionId } = await createApprovedPermission('Concurrent');
+
+  // Several requests at once, so some read the permission before any of them writes
+  const results = await Promise.all([1, 2, 3, 4].flatMap(() => [
+    server.api('POST', `/tracking/students/${permissionId}/revoke`, {}, dosen.token),
+    server.api('POST', `/tracking/my-requests/${permissionId}/withdraw`, {}, mahasiswa.token)
+  ]));
+  const statuses = results.map(result => result.status);
+  assert.equal(statuses.filter(status => status === 200).length, 1);
+  assert.equal(statuses.filter(status => status === 409).length, 7);
+
+  const history = await getHistory(permissionId);
+  assert.equal(history.length, 3);
+  assert.ok(['revoked', 'withdrawn'].includes(history[2]));
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DOSEN, startServer } = require('./helpers');
+
+// Refresh tokens rotate on every use; presenting a rotated one again ends the session
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test('a refresh token can be used once and its reuse revokes the session', async () => {
+  const login = await server.login(DOSEN);
+
+  const refreshed = await server.api('POST', '/auth/refresh', { refresh_token: login.refresh_token });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refresh_token, login.refresh_token);
+  assert.equal((await server.api('GET', '/auth/profile', null, refreshed.body.token)).status, 200);
+
+  const reused = await server.api('POST', '/auth/refresh', { refresh_token: login.refresh_token });
+  assert.equal(reused.status, 401);
+
+  // The whole session is gone, including the token issued by the rotation
+  const afterReuse = await server.api('POST', '/auth/refresh', { refresh_token: refreshed.body.refresh_token });
+  assert.equal(afterReuse.status, 401);
+  assert.equal((await server.api('GET', '/auth/profile', null, refreshed.body.token)).status, 401);
+});
+
+test('logout revokes the access and refresh token of the session only', async () => {
+  const first = await server.login(DOSEN);
+  const second = await server.login(DOSEN);
+
+  assert.equal((await server.api('POST', '/auth/logout', {}, first.token)).status, 200);
+
+  assert.equal((await server.api('GET', '/auth/profile', null, first.token)).status, 401);
+  assert.equal((await server.api('POST', '/auth/refresh', { refresh_token: first.refresh_token })).status, 401);
+  assert.equal((await server.api('GET', '/auth/profile', null, second.token)).status, 200);
+});
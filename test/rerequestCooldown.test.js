@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, DOSEN, MAHASISWA, startServer } = require('./helpers');
+
+// Rejected requests can be submitted again only after PERMISSION_REREQUEST_COOLDOWN_DAYS
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start a server and have the seeded mahasiswa's first request rejected
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} { server, dosen, mahasiswa, permissionId }
+ */
+const startWithRejectedRequest = async (env) => {
+  const server = await startServer(env);
+  const dosen = await server.login(DOSEN);
+  const mahasiswa = await server.login(MAHASISWA);
+
+  const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+  const rejected = await server.api('POST', '/tracking/handle', {
+    permission_id: request.body.permission_id,
+    action: 'rejected',
+    reason: 'Belum perlu'
+  }, dosen.token);
+  assert.equal(rejected.status, 200);
+
+  return { server, dosen, mahasiswa, permissionId: request.body.permission_id };
+};
+
+test('a rejected request can be repeated only after the cooldown', async () => {
+  const { server, dosen, mahasiswa, permissionId } = await startWithRejectedRequest({});
+  try {
+    const again = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.permission_id, permissionId);
+
+    const allowedAt = Date.parse(`${again.body.rerequest_allowed_at.replace(' ', 'T')}Z`);
+    assert.ok(Math.abs(allowedAt - (Date.now() + 7 * DAY_MS)) < 60000);
+
+    // Withdrawn requests have no cooldown
+    const admin = await server.login(ADMIN);
+    const other = await server.createMahasiswa(admin.token, 'Withdrawing', '09021000201');
+    const request = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, other.token);
+    const withdrawn = await server.api('POST', `/tracking/my-requests/${request.body.permission_id}/withdraw`, {}, other.token);
+    assert.equal(withdrawn.status, 200);
+    const repeated = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, other.token);
+    assert.equal(repeated.status, 201);
+    assert.equal(repeated.body.permission_id, request.body.permission_id);
+  } finally {
+    server.stop();
+  }
+});
+
+test('without a cooldown a rejected request can be repeated at once', async () => {
+  const { server, dosen, mahasiswa, permissionId } = await startWithRejectedRequest({
+    PERMISSION_REREQUEST_COOLDOWN_DAYS: '0'
+  });
+  try {
+    const again = await server.api('POST', '/tracking/request', { lecturer_id: dosen.user.id }, mahasiswa.token);
+    assert.equal(again.status, 201);
+    assert.equal(again.body.permission_id, permissionId);
+  } finally {
+    server.stop();
+  }
+});
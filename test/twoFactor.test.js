@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const { DOSEN, startServer } = require('./helpers');
+
+// TOTP codes, recovery codes and two_factor_token each work only once
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Code of the next 30s step, accepted within the clock drift window
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string} 6-digit code
+ */
+const nextStepCode = (secret) => {
+  return authenticator.clone({ epoch: Date.now() + authenticator.allOptions().step * 1000 }).generate(secret);
+};
+
+const loginFirstStep = async () => {
+  const { status, body } = await server.api('POST', '/auth/login', DOSEN);
+  assert.equal(status, 200);
+  assert.equal(body.two_factor_required, true);
+  assert.equal(body.token, undefined);
+  return body.two_factor_token;
+};
+
+test('two-factor login accepts every code and token only once', async () => {
+  const session = await server.login(DOSEN);
+
+  const setup = await server.api('POST', '/auth/2fa/setup', {}, session.token);
+  assert.equal(setup.status, 200);
+  const { secret } = setup.body;
+
+  const enrollmentCode = authenticator.generate(secret);
+  const enabled = await server.api('POST', '/auth/2fa/enable', { code: enrollmentCode }, session.token);
+  assert.equal(enabled.status, 200);
+  const [recoveryCode] = enabled.body.recovery_codes;
+
+  // The code confirmed at enrollment cannot sign in
+  const twoFactorToken = await loginFirstStep();
+  const replayedCode = await server.api('POST', '/auth/2fa/verify', { two_factor_token: twoFactorToken, code: enrollmentCode });
+  assert.equal(replayedCode.status, 401);
+
+  const verified = await server.api('POST', '/auth/2fa/verify', { two_factor_token: twoFactorToken, code: nextStepCode(secret) });
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.token);
+
+  const replayedToken = await server.api('POST', '/auth/2fa/verify', { two_factor_token: twoFactorToken, recovery_code: recoveryCode });
+  assert.equal(replayedToken.status, 401);
+
+  // A recovery code signs in once
+  const [, otherRecoveryCode] = enabled.body.recovery_codes;
+  const withRecovery = await server.api('POST', '/auth/2fa/verify', {
+    two_factor_token: await loginFirstStep(),
+    recovery_code: otherRecoveryCode
+  });
+  assert.equal(withRecovery.status, 200);
+
+  const reusedRecovery = await server.api('POST', '/auth/2fa/verify', {
+    two_factor_token: await loginFirstStep(),
+    recovery_code: otherRecoveryCode
+  });
+  assert.equal(reusedRecovery.status, 401);
+});
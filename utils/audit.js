@@ -0,0 +1,27 @@
+const { runQuery, generateUUID } = require('../config/db');
+
+/**
+ * Record a security-relevant event in the audit trail
+ * Never throws - failing to audit must not break the request being audited
+ * @param {Object} event - Event data
+ * @param {string} event.eventType - e.g. 'account_locked', 'account_unlocked'
+ * @param {string} [event.userId] - User the event is about
+ * @param {string} [event.actorId] - User who triggered it (admin), if any
+ * @param {string} [event.ipAddress] - Client IP address
+ * @param {Object} [event.details] - Extra data, stored as JSON
+ */
+const logAuditEvent = async ({ eventType, userId = null, actorId = null, ipAddress = null, details = null }) => {
+  try {
+    await runQuery(
+      `INSERT INTO audit_logs (id, event_type, user_id, actor_id, ip_address, details)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [generateUUID(), eventType, userId, actorId, ipAddress, details ? JSON.stringify(details) : null]
+    );
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+};
+
+module.exports = {
+  logAuditEvent
+};
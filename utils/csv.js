@@ -0,0 +1,120 @@
+// Delimiters recognized in the header line: comma, semicolon (Excel with a
+// comma decimal locale) and tab (cells pasted from a spreadsheet)
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} headerLine - First line of the file
+ * @returns {string} Delimiter character
+ */
+const detectDelimiter = (headerLine) => {
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of DELIMITERS) {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting, CRLF/LF, optional UTF-8 BOM)
+ * Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {Object[]} Rows as { line, values } - line is the 1-based line the row starts on
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0]);
+
+  const rows = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    if (values.length > 1 || values[0].trim() !== '') {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by lowercase column name
+ * @param {string} text - CSV content
+ * @returns {Object} { columns, records } - records are { line, data }
+ */
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.values.map(column => column.trim().toLowerCase());
+  const records = rows.map(row => {
+    const data = {};
+    columns.forEach((column, index) => {
+      const value = row.values[index] !== undefined ? row.values[index].trim() : '';
+      if (column && value !== '') {
+        data[column] = value;
+      }
+    });
+    return { line: row.line, data };
+  });
+
+  return { columns, records };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
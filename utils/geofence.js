@@ -1,11 +1,7 @@
 const { getAll } = require('../config/db');
-
-// Jakarta coordinates for privacy masking
-const MASKED_LOCATION = {
-  latitude: -6.2088,
-  longitude: 106.8456,
-  locationName: 'Di Luar'
-};
+const { createGridIndex, queryGridIndex } = require('./spatialIndex');
+const { DEFAULT_MASKED_LOCATION, getMaskedLocation, getStricterPrivacyLevel } = require('./privacy');
+const { getLocalTime, isScheduleActive } = require('./schedule');
 
 /**
  * Calculate Haversine distance between two coordinates
@@ -39,62 +35,771 @@ const toRad = (deg) => {
   return deg * (Math.PI / 180);
 };
 
+// Zone levels from outermost to most specific; a zone's parent is one level up
+const ZONE_TYPES = ['campus', 'building', 'room'];
+
+// Separator between zone names in position_name ("UNSRI Indralaya > Gedung A > Lab 1")
+const ZONE_PATH_SEPARATOR = ' > ';
+
+// Upper bound on vertices per polygon fence, keeps point-in-polygon checks cheap
+const MAX_POLYGON_VERTICES = 10000;
+
+/**
+ * Check whether two [lon, lat] positions are the same point
+ * @param {number[]} a - Position
+ * @param {number[]} b - Position
+ * @returns {boolean} Whether they are equal
+ */
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Validate a GeoJSON linear ring and close it if needed
+ * @param {Array} ring - Array of [lon, lat] positions
+ * @returns {Object} { ring } or { error }
+ */
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring)) {
+    return { error: 'Each polygon ring must be an array of [longitude, latitude] positions' };
+  }
+
+  for (const position of ring) {
+    if (!Array.isArray(position) || position.length < 2 ||
+        !Number.isFinite(position[0]) || !Number.isFinite(position[1])) {
+      return { error: 'Each position must be [longitude, latitude] numbers' };
+    }
+    if (position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+      return { error: 'Position out of range: longitude must be -180..180 and latitude -90..90' };
+    }
+  }
+
+  const closed = ring.map(position => [position[0], position[1]]);
+  if (closed.length > 0 && !samePosition(closed[0], closed[closed.length - 1])) {
+    closed.push([...closed[0]]);
+  }
+
+  // A closed ring needs at least 3 distinct corners
+  if (closed.length < 4) {
+    return { error: 'Each polygon ring needs at least 3 distinct positions' };
+  }
+
+  return { ring: closed };
+};
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon geometry
+ * Rings are closed automatically; the first ring of a polygon is its outer
+ * boundary and any further rings are holes.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} { geometry } with the normalized geometry, or { error }
+ */
+const normalizeGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') {
+    return { error: 'geometry must be a GeoJSON Polygon or MultiPolygon object' };
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    return { error: 'geometry type must be Polygon or MultiPolygon' };
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { error: 'geometry has no coordinates' };
+  }
+
+  let vertexCount = 0;
+  const normalized = [];
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return { error: 'Each polygon needs at least an outer ring' };
+    }
+
+    const normalizedRings = [];
+    for (const ring of rings) {
+      const result = normalizeRing(ring);
+      if (result.error) {
+        return { error: result.error };
+      }
+      vertexCount += result.ring.length;
+      normalizedRings.push(result.ring);
+    }
+    normalized.push(normalizedRings);
+  }
+
+  if (vertexCount > MAX_POLYGON_VERTICES) {
+    return { error: `geometry may have at most ${MAX_POLYGON_VERTICES} positions` };
+  }
+
+  return {
+    geometry: geometry.type === 'Polygon'
+      ? { type: 'Polygon', coordinates: normalized[0] }
+      : { type: 'MultiPolygon', coordinates: normalized }
+  };
+};
+
+/**
+ * Get the polygons of a geometry as a list of ring arrays
+ * @param {Object} geometry - Normalized Polygon or MultiPolygon
+ * @returns {Array} Polygons, each an array of rings
+ */
+const getPolygons = (geometry) => {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+};
+
+/**
+ * Get the center of a geometry's bounding box (stored as latitude/longitude of polygon fences)
+ * @param {Object} geometry - Normalized Polygon or MultiPolygon
+ * @returns {Object} { latitude, longitude }
+ */
+const getGeometryCenter = (geometry) => {
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+
+  for (const rings of getPolygons(geometry)) {
+    for (const [lon, lat] of rings[0]) {
+      minLon = Math.min(minLon, lon);
+      maxLon = Math.max(maxLon, lon);
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+    }
+  }
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLon + maxLon) / 2
+  };
+};
+
+/**
+ * Ray casting test of a point against a closed ring
+ * @param {number} lon - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array} ring - Closed ring of [lon, lat] positions
+ * @returns {boolean} Whether the point is inside the ring
+ */
+const isPointInRing = (lon, lat, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Check if a point is inside a Polygon/MultiPolygon (outside of its holes)
+ * @param {number} lat - Latitude of the point
+ * @param {number} long - Longitude of the point
+ * @param {Object} geometry - Normalized Polygon or MultiPolygon
+ * @returns {boolean} Whether the point is inside
+ */
+const isPointInGeometry = (lat, long, geometry) => {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    isPointInRing(long, lat, outer) && !holes.some(hole => isPointInRing(long, lat, hole))
+  );
+};
+
+/**
+ * Check if a point is inside a geofence (circle or polygon)
+ * @param {Object} geofence - Geofence with parsed geometry
+ * @param {number} lat - Latitude to check
+ * @param {number} long - Longitude to check
+ * @returns {boolean} Whether the point is inside
+ */
+const isInsideGeofence = (geofence, lat, long) => {
+  if (geofence.shape === 'polygon') {
+    return isPointInGeometry(lat, long, geofence.geometry);
+  }
+
+  return haversineDistance(lat, long, geofence.latitude, geofence.longitude) <= geofence.radius_km;
+};
+
+/**
+ * Distance from a point to a segment, in a local flat projection around the point
+ * @param {number} lat - Latitude of the point
+ * @param {number} long - Longitude of the point
+ * @param {number[]} a - Segment start [lon, lat]
+ * @param {number[]} b - Segment end [lon, lat]
+ * @returns {number} Distance in kilometers
+ */
+const distanceToSegment = (lat, long, a, b) => {
+  const kmPerDegLat = 111.32;
+  const kmPerDegLon = 111.32 * Math.cos(toRad(lat));
+  const ax = (a[0] - long) * kmPerDegLon;
+  const ay = (a[1] - lat) * kmPerDegLat;
+  const bx = (b[0] - long) * kmPerDegLon;
+  const by = (b[1] - lat) * kmPerDegLat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+/**
+ * Signed distance from a point to a geofence boundary
+ * @param {Object} geofence - Geofence with parsed geometry
+ * @param {number} lat - Latitude of the point
+ * @param {number} long - Longitude of the point
+ * @returns {number} Kilometers, negative inside the fence and positive outside
+ */
+const getBoundaryDistance = (geofence, lat, long) => {
+  if (geofence.shape !== 'polygon') {
+    return haversineDistance(lat, long, geofence.latitude, geofence.longitude) - geofence.radius_km;
+  }
+
+  let distance = Infinity;
+  for (const rings of getPolygons(geofence.geometry)) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        distance = Math.min(distance, distanceToSegment(lat, long, ring[i - 1], ring[i]));
+      }
+    }
+  }
+
+  return isPointInGeometry(lat, long, geofence.geometry) ? -distance : distance;
+};
+
+/**
+ * Convert a geofences row to its API/cache form (geometry JSON parsed)
+ * @param {Object} row - Row from the geofences table
+ * @returns {Object} Geofence
+ */
+const parseGeofenceRow = (row) => {
+  return {
+    ...row,
+    shape: row.shape || 'circle',
+    geometry: row.geometry ? JSON.parse(row.geometry) : null,
+    zone_type: row.zone_type || 'campus',
+    parent_id: row.parent_id || null,
+    privacy_level: row.privacy_level || null,
+    schedule: row.schedule ? JSON.parse(row.schedule) : null
+  };
+};
+
+/**
+ * Convert a private_zones row to its API/cache form (geometry JSON parsed)
+ * @param {Object} row - Row from the private_zones table
+ * @returns {Object} Private zone
+ */
+const parsePrivateZoneRow = (row) => {
+  return {
+    ...row,
+    shape: row.shape || 'circle',
+    geometry: row.geometry ? JSON.parse(row.geometry) : null,
+    label: row.label || null
+  };
+};
+
+/**
+ * Get the chain of zones from the outermost campus down to a zone
+ * @param {Object} geofence - Most specific zone
+ * @param {Map} geofencesById - All geofences by ID
+ * @returns {Object[]} Zone path as [{ id, name, type }], campus first
+ */
+const getZonePath = (geofence, geofencesById) => {
+  const path = [];
+  const visited = new Set();
+  let zone = geofence;
+
+  // visited guards against a corrupted parent cycle
+  while (zone && !visited.has(zone.id)) {
+    visited.add(zone.id);
+    path.unshift({ id: zone.id, name: zone.name, type: zone.zone_type });
+    zone = zone.parent_id ? geofencesById.get(zone.parent_id) : null;
+  }
+
+  return path;
+};
+
+// Default GeoJSON feature properties read on import and written on export
+const DEFAULT_PROPERTY_MAPPING = {
+  name: 'name',
+  radius: 'radius_km',
+  parent: 'parent',
+  zoneType: 'zone_type'
+};
+
+/**
+ * Convert a geofence to a GeoJSON Feature
+ * GeoJSON has no circle type, so circles are exported as a Point with a radius_km property
+ * @param {Object} geofence - Parsed geofence
+ * @param {string|null} parentName - Name of the enclosing zone
+ * @returns {Object} GeoJSON Feature
+ */
+const toGeoJSONFeature = (geofence, parentName = null) => {
+  const isPolygon = geofence.shape === 'polygon';
+
+  return {
+    type: 'Feature',
+    id: geofence.id,
+    geometry: isPolygon
+      ? geofence.geometry
+      : { type: 'Point', coordinates: [geofence.longitude, geofence.latitude] },
+    properties: {
+      id: geofence.id,
+      name: geofence.name,
+      shape: geofence.shape,
+      radius_km: isPolygon ? null : geofence.radius_km,
+      zone_type: geofence.zone_type,
+      parent: parentName,
+      privacy_level: geofence.privacy_level,
+      schedule: geofence.schedule
+    }
+  };
+};
+
+/**
+ * Read the geofence fields of a GeoJSON Feature
+ * Point features need a radius property and become circles; Polygon/MultiPolygon
+ * features become polygon fences. Geometry values are validated later, like API input.
+ * @param {Object} feature - GeoJSON Feature
+ * @param {Object} mapping - Property names ({ name, radius, parent, zoneType })
+ * @returns {Object} { name, parentName, zoneType, fields } or { error }
+ */
+const fromGeoJSONFeature = (feature, mapping = DEFAULT_PROPERTY_MAPPING) => {
+  if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+    return { error: 'Not a GeoJSON Feature with a geometry' };
+  }
+
+  const properties = feature.properties || {};
+  const name = properties[mapping.name] !== undefined && properties[mapping.name] !== null
+    ? String(properties[mapping.name]).trim()
+    : '';
+  const parentName = properties[mapping.parent] ? String(properties[mapping.parent]).trim() : null;
+  const zoneType = properties[mapping.zoneType] || undefined;
+  const { geometry } = feature;
+
+  // Only set when the file has them, so imports from other tools keep the stored values
+  const extras = {};
+  for (const field of ['privacy_level', 'schedule']) {
+    if (properties[field] !== undefined) {
+      extras[field] = properties[field];
+    }
+  }
+
+  if (!name) {
+    return { error: `Property "${mapping.name}" is required` };
+  }
+
+  if (geometry.type === 'Point') {
+    const radius = properties[mapping.radius];
+    if (radius === undefined || radius === null || radius === '') {
+      return { name, error: `Point features need a "${mapping.radius}" property` };
+    }
+
+    const [longitude, latitude] = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+    return {
+      name,
+      parentName,
+      zoneType,
+      fields: { name, latitude, longitude, radius_km: Number(radius), ...extras }
+    };
+  }
+
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+    return { name, parentName, zoneType, fields: { name, geometry, ...extras } };
+  }
+
+  return { name, error: `Unsupported geometry type ${geometry.type}. Use Point, Polygon or MultiPolygon` };
+};
+
+/**
+ * Get the bounding box of a geofence
+ * @param {Object} geofence - Geofence with parsed geometry
+ * @returns {Object} { minLat, maxLat, minLon, maxLon }
+ */
+const getGeofenceBounds = (geofence) => {
+  if (geofence.shape === 'polygon') {
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    for (const rings of getPolygons(geofence.geometry)) {
+      for (const [lon, lat] of rings[0]) {
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+        bounds.minLon = Math.min(bounds.minLon, lon);
+        bounds.maxLon = Math.max(bounds.maxLon, lon);
+      }
+    }
+    return bounds;
+  }
+
+  // 1 degree of latitude is ~111.32 km; a degree of longitude shrinks with cos(latitude)
+  const latDelta = geofence.radius_km / 111.32;
+  const maxLat = Math.min(geofence.latitude + latDelta, 90);
+  const minLat = Math.max(geofence.latitude - latDelta, -90);
+  const cosLat = Math.cos(toRad(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+  const lonDelta = cosLat > 0.01 ? geofence.radius_km / (111.32 * cosLat) : 180;
+
+  return {
+    minLat,
+    maxLat,
+    minLon: Math.max(geofence.longitude - lonDelta, -180),
+    maxLon: Math.min(geofence.longitude + lonDelta, 180)
+  };
+};
+
+/**
+ * Get the radius of the largest circle centered in a geofence's bounding box that fits in it
+ * (the radius itself for circles), used to judge whether a GPS fix is precise enough for the fence
+ * @param {Object} geofence - Geofence with parsed geometry
+ * @returns {number} Radius in kilometers
+ */
+const getGeofenceRadius = (geofence) => {
+  if (geofence.shape !== 'polygon') {
+    return geofence.radius_km;
+  }
+
+  const bounds = getGeofenceBounds(geofence);
+  const midLat = (bounds.minLat + bounds.maxLat) / 2;
+  const height = (bounds.maxLat - bounds.minLat) * 111.32;
+  const width = (bounds.maxLon - bounds.minLon) * 111.32 * Math.cos(toRad(midLat));
+
+  return Math.min(height, width) / 2;
+};
+
+/**
+ * Build the lookup structure used by checkGeofence
+ * @param {Object[]} geofences - Parsed geofences
+ * @param {Object[]} [privateZones] - Parsed private zones of all dosen
+ * @param {string[]} [holidayDates] - Holiday dates (YYYY-MM-DD) on which scheduled zones are inactive
+ * @returns {Object} { geofences, geofencesById, grid, privateZonesById, privateZonesByDosen, holidayDates }
+ */
+const buildGeofenceIndex = (geofences, privateZones = [], holidayDates = []) => {
+  const privateZonesByDosen = new Map();
+  for (const zone of privateZones) {
+    if (!privateZonesByDosen.has(zone.dosen_id)) {
+      privateZonesByDosen.set(zone.dosen_id, []);
+    }
+    privateZonesByDosen.get(zone.dosen_id).push(zone);
+  }
+
+  return {
+    geofences,
+    geofencesById: new Map(geofences.map(geofence => [geofence.id, geofence])),
+    grid: createGridIndex(geofences.map(geofence => ({ bounds: getGeofenceBounds(geofence), item: geofence }))),
+    privateZonesById: new Map(privateZones.map(zone => [zone.id, zone])),
+    privateZonesByDosen,
+    holidayDates: new Set(holidayDates)
+  };
+};
+
+/**
+ * Find the private zone of a dosen containing a point
+ * The current private zone is kept until the point is exitBufferKm outside; entering needs no
+ * margin so the location is masked as early as possible.
+ * @param {Object} index - Result of buildGeofenceIndex
+ * @param {string} dosenId - Dosen user ID
+ * @param {number} lat - Latitude to check
+ * @param {number} long - Longitude to check
+ * @param {Object} options - { currentZoneId, exitBufferKm }
+ * @returns {Object|null} Matching private zone
+ */
+const findPrivateZone = (index, dosenId, lat, long, { currentZoneId = null, exitBufferKm = 0 } = {}) => {
+  const zones = index.privateZonesByDosen.get(dosenId) || [];
+
+  return zones.find(zone => {
+    const margin = zone.id === currentZoneId ? exitBufferKm : 0;
+    return margin === 0
+      ? isInsideGeofence(zone, lat, long)
+      : getBoundaryDistance(zone, lat, long) <= margin;
+  }) || null;
+};
+
+/**
+ * Find the most specific zone (room over building over campus) containing a point
+ * With buffers, a zone the point is not yet in must contain it by at least entryBufferKm,
+ * while the current zone and its parents are kept until the point is exitBufferKm outside
+ * @param {Object} index - Result of buildGeofenceIndex
+ * @param {number} lat - Latitude to check
+ * @param {number} long - Longitude to check
+ * @param {Object} options - { currentZoneId, entryBufferKm, exitBufferKm }
+ * @returns {Object|null} Matching geofence
+ */
+const findZone = (index, lat, long, { currentZoneId = null, entryBufferKm = 0, exitBufferKm = 0 } = {}) => {
+  const currentPath = currentZoneId
+    ? getZonePath(index.geofencesById.get(currentZoneId), index.geofencesById).map(zone => index.geofencesById.get(zone.id))
+    : [];
+  const currentIds = new Set(currentPath.map(zone => zone.id));
+
+  // The current zones may lie outside the grid cell when the point is within the exit buffer
+  const candidates = new Set([...queryGridIndex(index.grid, lat, long), ...currentPath]);
+
+  let match = null;
+  for (const geofence of candidates) {
+    if (match && ZONE_TYPES.indexOf(geofence.zone_type) <= ZONE_TYPES.indexOf(match.zone_type)) {
+      continue;
+    }
+
+    const margin = currentIds.has(geofence.id) ? exitBufferKm : -entryBufferKm;
+    const inside = margin === 0
+      ? isInsideGeofence(geofence, lat, long)
+      : getBoundaryDistance(geofence, lat, long) <= margin;
+
+    if (inside) {
+      match = geofence;
+    }
+  }
+
+  return match;
+};
+
+// Indexed geofences, private zones and holidays, loaded at startup and rebuilt after changes
+let geofenceCache = null;
+// Bumped on reload so a load that started before a change is not cached
+let geofenceCacheVersion = 0;
+
+/**
+ * Get the geofence index (cached)
+ * @returns {Promise<Object>} Result of buildGeofenceIndex
+ */
+const loadGeofences = async () => {
+  if (geofenceCache) {
+    return geofenceCache;
+  }
+
+  const version = geofenceCacheVersion;
+  const geofences = (await getAll('SELECT * FROM geofences')).map(parseGeofenceRow);
+  const privateZones = (await getAll('SELECT * FROM private_zones')).map(parsePrivateZoneRow);
+  const holidays = await getAll('SELECT date FROM holidays');
+  const index = buildGeofenceIndex(geofences, privateZones, holidays.map(holiday => holiday.date));
+  if (version === geofenceCacheVersion) {
+    geofenceCache = index;
+  }
+  return index;
+};
+
+/**
+ * Drop the geofence cache so the next check reads the tables again
+ * Call after creating, updating or deleting geofences, private zones or holidays
+ */
+const reloadGeofences = () => {
+  geofenceCache = null;
+  geofenceCacheVersion++;
+};
+
+/**
+ * Get the most specific zone on a zone's path that is within its active hours
+ * A zone is only shown while it and all of its parents are active, so a room outside
+ * its hours falls back to its building or campus.
+ * @param {Object} index - Result of buildGeofenceIndex
+ * @param {Object} zone - Most specific zone containing the point
+ * @param {Object} localTime - Result of getLocalTime
+ * @returns {Object|null} Active zone, or null when the campus itself is inactive
+ */
+const getActiveZone = (index, zone, localTime) => {
+  let activeZone = null;
+
+  for (const pathZone of getZonePath(zone, index.geofencesById)) {
+    const candidate = index.geofencesById.get(pathZone.id);
+    if (!isScheduleActive(candidate.schedule, localTime, index.holidayDates)) {
+      break;
+    }
+    activeZone = candidate;
+  }
+
+  return activeZone;
+};
+
+/**
+ * Check whether a zone ID saved with a result is still shown as it is
+ * Private zones always are; geofences only while they and their parents are active.
+ * @param {string} zoneId - Zone ID of a geofence check result
+ * @returns {Promise<boolean>} False for geofences outside their active hours or deleted
+ */
+const isGeofenceActive = async (zoneId) => {
+  const index = await loadGeofences();
+  if (index.privateZonesById.has(zoneId)) {
+    return true;
+  }
+
+  const zone = index.geofencesById.get(zoneId);
+  return Boolean(zone) && getActiveZone(index, zone, getLocalTime()) === zone;
+};
+
+/**
+ * Build a masked result (outside all geofences)
+ * @param {Object} masked - { latitude, longitude, locationName }
+ * @returns {Object} Geofence check result
+ */
+const maskedResult = (masked) => {
+  return {
+    isInside: false,
+    isPrivate: false,
+    zoneId: null,
+    zoneRadiusKm: null,
+    privacyLevel: null,
+    locationName: masked.locationName,
+    zonePath: [],
+    displayLat: masked.latitude,
+    displayLong: masked.longitude
+  };
+};
+
+/**
+ * Build the result for a point inside a dosen's private zone
+ * Reported like a location outside all geofences, with the zone's label if it has one
+ * @param {Object} zone - Private zone
+ * @param {Object} masked - { latitude, longitude, locationName }
+ * @returns {Object} Geofence check result
+ */
+const privateResult = (zone, masked) => {
+  return {
+    isInside: false,
+    isPrivate: true,
+    zoneId: zone.id,
+    zoneRadiusKm: getGeofenceRadius(zone),
+    privacyLevel: null,
+    locationName: zone.label || masked.locationName,
+    zonePath: [],
+    displayLat: masked.latitude,
+    displayLong: masked.longitude
+  };
+};
+
+/**
+ * Build the result for a point inside a zone, applying the privacy level
+ * The dosen's level is tightened by any privacy_level set on the zone or its parents.
+ * @param {Object} index - Result of buildGeofenceIndex
+ * @param {Object} zone - Most specific zone containing the point
+ * @param {number} lat - Latitude of the point
+ * @param {number} long - Longitude of the point
+ * @param {string} privacyLevel - Dosen privacy level
+ * @returns {Object} Geofence check result
+ */
+const zoneResult = (index, zone, lat, long, privacyLevel) => {
+  const fullPath = getZonePath(zone, index.geofencesById);
+  const level = fullPath.reduce(
+    (strictest, pathZone) => getStricterPrivacyLevel(strictest, index.geofencesById.get(pathZone.id).privacy_level),
+    privacyLevel
+  );
+
+  // Zone and campus levels show the center of the last zone they reveal
+  const zonePath = level === 'campus' ? fullPath.slice(0, 1) : fullPath;
+  const shownZone = index.geofencesById.get(zonePath[zonePath.length - 1].id);
+
+  return {
+    isInside: true,
+    isPrivate: false,
+    zoneId: zone.id,
+    zoneRadiusKm: getGeofenceRadius(zone),
+    privacyLevel: level,
+    locationName: zonePath.map(pathZone => pathZone.name).join(ZONE_PATH_SEPARATOR),
+    zonePath,
+    displayLat: level === 'exact' ? lat : shownZone.latitude,
+    displayLong: level === 'exact' ? long : shownZone.longitude
+  };
+};
+
 /**
  * Check if coordinates are within any defined geofence
  * @param {number} lat - Latitude to check
  * @param {number} long - Longitude to check
+ * @param {Object} [options] - { dosenId, privacyLevel } plus the hysteresis options of findZone
+ *   ({ currentZoneId, entryBufferKm, exitBufferKm })
  * @returns {Promise<Object>} Geofence check result with privacy masking applied
+ *   ({ isInside, isPrivate, zoneId, zoneRadiusKm, privacyLevel, locationName, zonePath, displayLat,
+ *   displayLong }; zonePath lists the zones from campus down to the most specific one shown)
  */
-const checkGeofence = async (lat, long) => {
+const checkGeofence = async (lat, long, options = {}) => {
   try {
-    // Get all geofences from database
-    const geofences = await getAll('SELECT * FROM geofences');
+    // Get the geofence index (cached, rebuilt after admin changes)
+    const index = await loadGeofences();
     
-    // Check if coordinates are inside any geofence
-    for (const geofence of geofences) {
-      const distance = haversineDistance(lat, long, geofence.latitude, geofence.longitude);
-      
-      if (distance <= geofence.radius_km) {
-        // Inside geofence - return actual coordinates
-        return {
-          isInside: true,
-          locationName: geofence.name,
-          displayLat: lat,
-          displayLong: long
-        };
-      }
+    // The dosen's private zones take precedence over campus fences
+    const privateZone = options.dosenId ? findPrivateZone(index, options.dosenId, lat, long, options) : null;
+    if (privateZone) {
+      return privateResult(privateZone, await getMaskedLocation());
+    }
+    
+    const match = findZone(index, lat, long, options);
+    
+    // Zones outside their active hours fall back to their active parent, or are masked like the outside
+    const activeZone = match ? getActiveZone(index, match, getLocalTime()) : null;
+    if (activeZone) {
+      return zoneResult(index, activeZone, lat, long, options.privacyLevel || 'exact');
     }
     
     // Outside all geofences - apply privacy masking
-    return {
-      isInside: false,
-      locationName: MASKED_LOCATION.locationName,
-      displayLat: MASKED_LOCATION.latitude,
-      displayLong: MASKED_LOCATION.longitude
-    };
+    return maskedResult(await getMaskedLocation());
     
   } catch (error) {
     console.error('Error checking geofence:', error.message);
     // On error, apply privacy masking for safety
-    return {
-      isInside: false,
-      locationName: MASKED_LOCATION.locationName,
-      displayLat: MASKED_LOCATION.latitude,
-      displayLong: MASKED_LOCATION.longitude
-    };
+    return maskedResult(DEFAULT_MASKED_LOCATION);
   }
 };
 
 /**
- * Get masked location (for use when privacy protection is needed)
- * @returns {Object} Masked location coordinates
+ * Describe a stored location with the current geofences and privacy settings
+ * Uses the zone saved with the location when it still exists, otherwise checks the coordinates
+ * again. Private zones are checked first, including ones added after the location was saved,
+ * and zones outside their active hours fall back to their active parent. Locations saved outside all zones (no
+ * zone_id) hold the masked point, so they are reported as masked without a new check.
+ * @param {Object} location - { latitude, longitude, zone_id } from the locations table
+ * @param {string} dosenId - Dosen user ID
+ * @param {string} privacyLevel - Dosen privacy level
+ * @returns {Promise<Object>} Geofence check result
  */
-const getMaskedLocation = () => {
-  return { ...MASKED_LOCATION };
+const describeStoredLocation = async (location, dosenId, privacyLevel = 'exact') => {
+  try {
+    if (!location.zone_id) {
+      return maskedResult(await getMaskedLocation());
+    }
+
+    const index = await loadGeofences();
+    const privateZone = index.privateZonesById.get(location.zone_id) ||
+      findPrivateZone(index, dosenId, location.latitude, location.longitude);
+
+    if (privateZone) {
+      return privateResult(privateZone, await getMaskedLocation());
+    }
+
+    const zone = index.geofencesById.get(location.zone_id);
+    if (zone) {
+      const activeZone = getActiveZone(index, zone, getLocalTime());
+      return activeZone
+        ? zoneResult(index, activeZone, location.latitude, location.longitude, privacyLevel)
+        : maskedResult(await getMaskedLocation());
+    }
+
+    return checkGeofence(location.latitude, location.longitude, { dosenId, privacyLevel });
+
+  } catch (error) {
+    console.error('Error describing stored location:', error.message);
+    return maskedResult(DEFAULT_MASKED_LOCATION);
+  }
 };
 
 module.exports = {
   checkGeofence,
-  getMaskedLocation,
-  haversineDistance
+  describeStoredLocation,
+  loadGeofences,
+  haversineDistance,
+  reloadGeofences,
+  normalizeGeometry,
+  getGeometryCenter,
+  isInsideGeofence,
+  parseGeofenceRow,
+  parsePrivateZoneRow,
+  buildGeofenceIndex,
+  findZone,
+  findPrivateZone,
+  isGeofenceActive,
+  toGeoJSONFeature,
+  fromGeoJSONFeature,
+  DEFAULT_PROPERTY_MAPPING,
+  ZONE_TYPES
 };
@@ -0,0 +1,217 @@
+const { runQuery, getOne } = require('../config/db');
+const { logAuditEvent } = require('./audit');
+
+// Failed attempts per account before it is temporarily locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+
+// Account lockout duration in minutes
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Failed attempts per IP within the window before the IP is blocked
+// (kept high because a whole campus network can share one public IP)
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 50;
+
+// Window for per-IP counting, also used as the IP block duration
+const IP_WINDOW_MS = LOGIN_LOCKOUT_MINUTES * 60000;
+
+// Failures allowed before responses start being delayed, and the delay cap
+const DELAY_FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 8000;
+const IP_FAILURES_PER_STEP = 5;
+
+// Password reset requests per IP per hour; counted apart from logins so resets never lock an IP out of login
+const PASSWORD_RESET_MAX_REQUESTS_PER_IP = parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS_PER_IP, 10) || 20;
+const PASSWORD_RESET_WINDOW_MS = 60 * 60000;
+
+// In-memory storage for failed attempts per IP (ip -> { count, windowStart, blockedUntil })
+const ipAttemptsMap = new Map();
+
+// In-memory storage for password reset requests per IP (ip -> { count, windowStart })
+const resetRequestsMap = new Map();
+
+/**
+ * Get the block state of an IP, dropping stale entries
+ * @param {string} ip - Client IP address
+ * @returns {Object} { count, blockedForSeconds }
+ */
+const getIpState = (ip) => {
+  const entry = ipAttemptsMap.get(ip);
+  const now = Date.now();
+
+  if (!entry) {
+    return { count: 0, blockedForSeconds: 0 };
+  }
+
+  if (entry.blockedUntil > now) {
+    return { count: entry.count, blockedForSeconds: Math.ceil((entry.blockedUntil - now) / 1000) };
+  }
+
+  if (now - entry.windowStart >= IP_WINDOW_MS) {
+    ipAttemptsMap.delete(ip);
+    return { count: 0, blockedForSeconds: 0 };
+  }
+
+  return { count: entry.count, blockedForSeconds: 0 };
+};
+
+/**
+ * Record a failed login attempt from an IP
+ * @param {string} ip - Client IP address
+ * @param {string} email - Email that was tried (for the audit trail)
+ */
+const recordIpFailure = async (ip, email) => {
+  const now = Date.now();
+  let entry = ipAttemptsMap.get(ip);
+
+  // Drop expired entries so the map cannot grow without bound
+  if (ipAttemptsMap.size > 10000) {
+    for (const [key, value] of ipAttemptsMap) {
+      if (now - value.windowStart >= IP_WINDOW_MS && value.blockedUntil <= now) {
+        ipAttemptsMap.delete(key);
+      }
+    }
+  }
+
+  if (!entry || now - entry.windowStart >= IP_WINDOW_MS) {
+    entry = { count: 0, windowStart: now, blockedUntil: 0 };
+    ipAttemptsMap.set(ip, entry);
+  }
+
+  entry.count += 1;
+
+  if (entry.count >= LOGIN_MAX_ATTEMPTS_PER_IP && entry.blockedUntil <= now) {
+    entry.blockedUntil = now + IP_WINDOW_MS;
+    console.warn(`Login blocked for IP ${ip} after ${entry.count} failed attempts`);
+    await logAuditEvent({
+      eventType: 'ip_locked',
+      ipAddress: ip,
+      details: { failed_attempts: entry.count, last_email: email, lockout_minutes: LOGIN_LOCKOUT_MINUTES }
+    });
+  }
+};
+
+/**
+ * Count a password reset request from an IP, unless the IP used up its requests for the window
+ * @param {string} ip - Client IP address
+ * @returns {number} Seconds until the IP may request again, 0 when the request is allowed
+ */
+const takePasswordResetRequest = (ip) => {
+  const now = Date.now();
+
+  // Drop expired entries so the map cannot grow without bound
+  if (resetRequestsMap.size > 10000) {
+    for (const [key, value] of resetRequestsMap) {
+      if (now - value.windowStart >= PASSWORD_RESET_WINDOW_MS) {
+        resetRequestsMap.delete(key);
+      }
+    }
+  }
+
+  let entry = resetRequestsMap.get(ip);
+  if (!entry || now - entry.windowStart >= PASSWORD_RESET_WINDOW_MS) {
+    entry = { count: 0, windowStart: now };
+    resetRequestsMap.set(ip, entry);
+  }
+
+  if (entry.count >= PASSWORD_RESET_MAX_REQUESTS_PER_IP) {
+    return Math.ceil((entry.windowStart + PASSWORD_RESET_WINDOW_MS - now) / 1000);
+  }
+
+  entry.count += 1;
+  return 0;
+};
+
+/**
+ * Get the lockout state of an account
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { failedCount, lockedForSeconds }
+ */
+const getAccountState = async (userId) => {
+  const row = await getOne(
+    `SELECT failed_login_count,
+            CASE WHEN locked_until > CURRENT_TIMESTAMP
+              THEN CAST((julianday(locked_until) - julianday('now')) * 86400 AS INTEGER) + 1
+              ELSE 0
+            END AS locked_for_seconds
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  return {
+    failedCount: row ? row.failed_login_count || 0 : 0,
+    lockedForSeconds: row ? row.locked_for_seconds : 0
+  };
+};
+
+/**
+ * Record a failed login attempt for an account, locking it when the limit is reached
+ * @param {string} userId - User ID
+ * @param {string} ip - Client IP address
+ * @returns {Promise<boolean>} Whether the account is now locked
+ */
+const recordAccountFailure = async (userId, ip) => {
+  await runQuery(
+    'UPDATE users SET failed_login_count = COALESCE(failed_login_count, 0) + 1 WHERE id = ?',
+    [userId]
+  );
+
+  const { failedCount } = await getAccountState(userId);
+
+  if (failedCount < LOGIN_MAX_ATTEMPTS) {
+    return false;
+  }
+
+  await runQuery(
+    `UPDATE users SET locked_until = datetime('now', ?), failed_login_count = 0 WHERE id = ?`,
+    [`+${LOGIN_LOCKOUT_MINUTES} minutes`, userId]
+  );
+
+  console.warn(`Account ${userId} locked after ${failedCount} failed login attempts`);
+  await logAuditEvent({
+    eventType: 'account_locked',
+    userId,
+    ipAddress: ip,
+    details: { failed_attempts: failedCount, lockout_minutes: LOGIN_LOCKOUT_MINUTES }
+  });
+
+  return true;
+};
+
+/**
+ * Reset the failed attempt counter after a successful login
+ * @param {string} userId - User ID
+ */
+const clearAccountFailures = async (userId) => {
+  await runQuery(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+};
+
+/**
+ * Progressive delay applied before checking a password
+ * 0s for the first attempts, then 1s, 2s, 4s... capped at MAX_DELAY_MS.
+ * IP failures count 1/IP_FAILURES_PER_STEP as much, since an IP may be shared.
+ * @param {number} accountFailures - Failed attempts on the account so far
+ * @param {number} ipFailures - Failed attempts from the IP in the current window
+ * @returns {number} Delay in milliseconds
+ */
+const getProgressiveDelayMs = (accountFailures, ipFailures = 0) => {
+  const failures = Math.max(accountFailures, Math.floor(ipFailures / IP_FAILURES_PER_STEP));
+
+  if (failures < DELAY_FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(1000 * Math.pow(2, failures - DELAY_FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+module.exports = {
+  getIpState,
+  recordIpFailure,
+  takePasswordResetRequest,
+  getAccountState,
+  recordAccountFailure,
+  clearAccountFailures,
+  getProgressiveDelayMs
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transport used to deliver mail: 'console' (default), 'file' or 'smtp'
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'MyDosen <no-reply@mydosen.unsri.ac.id>';
+
+// Outbox directory for the file transport (one .json file per message)
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR
+  ? path.resolve(process.env.MAIL_OUTBOX_DIR)
+  : path.join(__dirname, '../db', 'outbox');
+
+// SMTP server for the smtp transport
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+
+// Created on first use so other transports need no SMTP settings
+let smtpTransporter = null;
+
+/**
+ * Built-in transports
+ * A transport is an async function receiving { from, to, subject, text }
+ */
+const transports = {
+  // Development: print the message to the server log
+  console: async (message) => {
+    console.log('========== OUTGOING MAIL ==========');
+    console.log(`From:    ${message.from}`);
+    console.log(`To:      ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('===================================');
+  },
+
+  // Development: write the message to a local outbox directory
+  file: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(MAIL_OUTBOX_DIR, fileName),
+      JSON.stringify({ ...message, created_at: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Production: deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+  smtp: async (message) => {
+    if (!SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+      });
+    }
+
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+/**
+ * Register a custom mail transport (e.g. SMTP or an HTTP mail API)
+ * Select it with MAIL_TRANSPORT=<name>
+ * @param {string} name - Transport name
+ * @param {Function} transport - async ({ from, to, subject, text }) => void
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transport = transports[MAIL_TRANSPORT];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,120 @@
+const { getOne, getAll } = require('../config/db');
+
+// Page size when no limit is given, and the largest accepted limit
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Array} position - [sortValue, id]
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {Array|null} [sortValue, id], or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(position) && position.length === 2 ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Escape LIKE wildcards in user input (use with ESCAPE '\')
+ * @param {string} text - Search text
+ * @returns {string} Pattern matching the text anywhere
+ */
+const toLikePattern = (text) => {
+  return `%${String(text).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+};
+
+/**
+ * Parse limit/cursor/sort/order query parameters
+ * @param {Object} query - req.query
+ * @param {Object} options - { sortFields: string[], defaultSort, defaultOrder }
+ * @returns {Object} { limit, sort, order, position } or { error }
+ */
+const parsePagination = (query, { sortFields, defaultSort, defaultOrder = 'desc' }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const sort = query.sort || defaultSort;
+  const order = query.order ? String(query.order).toLowerCase() : defaultOrder;
+
+  if (!sortFields.includes(sort)) {
+    return { error: `Invalid sort. Must be one of: ${sortFields.join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Must be: asc or desc' };
+  }
+
+  let position = null;
+  if (query.cursor) {
+    position = decodeCursor(query.cursor);
+    if (!position) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { limit, sort, order, position };
+};
+
+/**
+ * Run a keyset-paginated query
+ * Filters and sorting apply to the columns of baseSql, which must include an `id` column
+ * and the sort field (sort fields are whitelisted by parsePagination).
+ * @param {Object} options - Query options
+ * @param {string} options.baseSql - SELECT producing the full, unfiltered list
+ * @param {string[]} options.conditions - WHERE conditions on the base columns
+ * @param {Array} options.params - Parameters for the conditions
+ * @param {Object} options.pagination - Result of parsePagination
+ * @returns {Promise<Object>} { items, total, next_cursor }
+ */
+const paginate = async ({ baseSql, conditions = [], params = [], pagination }) => {
+  const { limit, sort, order, position } = pagination;
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countRow = await getOne(
+    `SELECT COUNT(*) as total FROM (${baseSql}) base ${whereClause}`,
+    params
+  );
+
+  // Rows strictly after the cursor position, ties on the sort field broken by id
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (position) {
+    const operator = order === 'asc' ? '>' : '<';
+    pageConditions.push(`(${sort} ${operator} ? OR (${sort} = ? AND id ${operator} ?))`);
+    pageParams.push(position[0], position[0], position[1]);
+  }
+
+  const pageWhere = pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : '';
+  const rows = await getAll(
+    `SELECT * FROM (${baseSql}) base ${pageWhere}
+     ORDER BY ${sort} ${order.toUpperCase()}, id ${order.toUpperCase()}
+     LIMIT ?`,
+    [...pageParams, limit + 1]
+  );
+
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total: countRow.total,
+    next_cursor: rows.length > limit ? encodeCursor([last[sort], last.id]) : null
+  };
+};
+
+module.exports = {
+  parsePagination,
+  paginate,
+  toLikePattern
+};
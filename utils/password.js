@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Minimum password length for user-chosen passwords
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+// bcrypt only uses the first 72 bytes of a password
+const PASSWORD_MAX_LENGTH = 72;
+
+/**
+ * Validate password strength rules
+ * @param {string} password - Candidate password
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+const validatePasswordStrength = (password) => {
+  if (typeof password !== 'string') {
+    return 'Password must be a string';
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} bytes long`;
+  }
+
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  return null;
+};
+
+/**
+ * Generate a random temporary password that satisfies the strength rules
+ * @returns {string} Temporary password
+ */
+const generateTemporaryPassword = () => {
+  // 9 random bytes -> 12 base64url characters, plus a guaranteed letter and digit
+  return `${crypto.randomBytes(9).toString('base64url')}a${crypto.randomInt(10)}`;
+};
+
+module.exports = {
+  validatePasswordStrength,
+  generateTemporaryPassword,
+  PASSWORD_MIN_LENGTH
+};
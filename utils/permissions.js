@@ -0,0 +1,114 @@
+const { runQuery, generateUUID } = require('../config/db');
+
+// Every tracking_permissions status (see the table comment in config/db.js)
+const PERMISSION_STATUSES = ['pending', 'approved', 'rejected', 'revoked', 'suspended', 'withdrawn', 'expired'];
+
+// Longest suspension a dosen can set in one go
+const MAX_SUSPEND_DAYS = 180;
+
+// Furthest an approval can be set to expire (roughly two semesters)
+const MAX_VALIDITY_DAYS = 366;
+
+// Days a rejected mahasiswa waits before requesting the same dosen again (0 = no wait)
+const REREQUEST_COOLDOWN_DAYS = parseInt(process.env.PERMISSION_REREQUEST_COOLDOWN_DAYS ?? '7', 10) || 0;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * SQL expression for the current status of a tracking permission
+ * A suspension ends by itself once suspended_until has passed, and an approval or
+ * suspension turns expired once expires_at has passed, both without a write.
+ * @param {string} [alias] - Table name or alias of tracking_permissions
+ * @returns {string} SQL expression evaluating to the status
+ */
+const effectiveStatusSql = (alias = 'tracking_permissions') => {
+  return `(CASE WHEN ${alias}.status IN ('approved', 'suspended') AND ${alias}.expires_at <= CURRENT_TIMESTAMP
+    THEN 'expired'
+    WHEN ${alias}.status = 'suspended' AND ${alias}.suspended_until <= CURRENT_TIMESTAMP
+    THEN 'approved' ELSE ${alias}.status END)`;
+};
+
+/**
+ * SQL condition matching permissions that currently allow tracking
+ * @param {string} [alias] - Table name or alias of tracking_permissions
+ * @returns {string} SQL condition
+ */
+const activePermissionSql = (alias = 'tracking_permissions') => {
+  return `${effectiveStatusSql(alias)} = 'approved'`;
+};
+
+/**
+ * Validate an optional reason given with a permission change
+ * @param {*} reason - Reason from the request body
+ * @param {string} [field] - Body field name used in the error message
+ * @returns {Object} { reason } (null when empty) or { error }
+ */
+const validateReason = (reason, field = 'reason') => {
+  if (reason === undefined || reason === null || reason === '') {
+    return { reason: null };
+  }
+
+  if (typeof reason !== 'string' || reason.trim().length > 500) {
+    return { error: `${field} must be a string of at most 500 characters` };
+  }
+
+  return { reason: reason.trim() || null };
+};
+
+/**
+ * Validate an optional expiry given with an approval
+ * A plain date (YYYY-MM-DD) keeps the permission valid through the end of that day (UTC),
+ * e.g. the last day of the semester.
+ * @param {*} expiresAt - ISO 8601 date or date-time from the request body (null = never expires)
+ * @returns {Object} { expiresAt } as an SQLite UTC timestamp (null when empty) or { error }
+ */
+const normalizeExpiresAt = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return { expiresAt: null };
+  }
+
+  const parsed = typeof expiresAt === 'string'
+    ? new Date(DATE_PATTERN.test(expiresAt) ? `${expiresAt}T23:59:59Z` : expiresAt)
+    : null;
+
+  if (!parsed || Number.isNaN(parsed.getTime())) {
+    return { error: 'expires_at must be an ISO 8601 date or date-time' };
+  }
+
+  const now = Date.now();
+  if (parsed.getTime() <= now || parsed.getTime() > now + MAX_VALIDITY_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `expires_at must be in the future and at most ${MAX_VALIDITY_DAYS} days away` };
+  }
+
+  // Same format as CURRENT_TIMESTAMP so the two compare as strings
+  return { expiresAt: parsed.toISOString().slice(0, 19).replace('T', ' ') };
+};
+
+/**
+ * Add an entry to a permission's state history
+ * @param {string} permissionId - Permission ID
+ * @param {Object} change - Change data
+ * @param {string} change.action - e.g. 'requested', 'rejected', 'renewal_requested', 'expired'
+ * @param {string} change.status - Status of the permission after the change
+ * @param {string} [change.reason] - Request message or reason given with the change
+ * @param {string} [change.actorId] - User who made the change (null for the server)
+ */
+const recordPermissionChange = async (permissionId, { action, status, reason = null, actorId = null }) => {
+  await runQuery(
+    `INSERT INTO tracking_permission_history (id, permission_id, action, status, reason, actor_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [generateUUID(), permissionId, action, status, reason, actorId]
+  );
+};
+
+module.exports = {
+  PERMISSION_STATUSES,
+  MAX_SUSPEND_DAYS,
+  MAX_VALIDITY_DAYS,
+  REREQUEST_COOLDOWN_DAYS,
+  effectiveStatusSql,
+  activePermissionSql,
+  validateReason,
+  normalizeExpiresAt,
+  recordPermissionChange
+};
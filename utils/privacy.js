@@ -0,0 +1,86 @@
+const { getOne } = require('../config/db');
+const { getSetting, setSetting } = require('./settings');
+
+// Privacy levels from most to least revealing:
+// exact  - real coordinates and the full zone path
+// zone   - zone path only, coordinates snapped to the center of the zone
+// campus - campus name only, coordinates snapped to the center of the campus
+const PRIVACY_LEVELS = ['exact', 'zone', 'campus'];
+
+// Shown for locations outside all geofences until admins configure another point
+const DEFAULT_MASKED_LOCATION = {
+  latitude: -6.2088,
+  longitude: 106.8456,
+  locationName: 'Di Luar'
+};
+
+// In-memory privacy level per dosen (userId -> level), read on every location update
+const dosenPrivacyCache = new Map();
+// Bumped on reload so a load that started before a change is not cached
+let dosenPrivacyCacheVersion = 0;
+
+/**
+ * Pick the stricter of two privacy levels
+ * @param {string|null} a - Privacy level (null = no restriction)
+ * @param {string|null} b - Privacy level (null = no restriction)
+ * @returns {string} Stricter level ('exact' when neither restricts)
+ */
+const getStricterPrivacyLevel = (a, b) => {
+  return PRIVACY_LEVELS[Math.max(PRIVACY_LEVELS.indexOf(a), PRIVACY_LEVELS.indexOf(b), 0)];
+};
+
+/**
+ * Get the point and label shown for locations outside all geofences
+ * @returns {Promise<Object>} { latitude, longitude, locationName }
+ */
+const getMaskedLocation = async () => {
+  const configured = await getSetting('masked_location', {});
+  return { ...DEFAULT_MASKED_LOCATION, ...configured };
+};
+
+/**
+ * Store the point and label shown for locations outside all geofences
+ * @param {Object} location - { latitude, longitude, locationName }
+ */
+const setMaskedLocation = async (location) => {
+  await setSetting('masked_location', location);
+};
+
+/**
+ * Get the privacy level a dosen chose (cached)
+ * @param {string} dosenId - Dosen user ID
+ * @returns {Promise<string|null>} Privacy level ('exact' when the dosen has no profile)
+ */
+const getDosenPrivacyLevel = async (dosenId) => {
+  if (dosenPrivacyCache.has(dosenId)) {
+    return dosenPrivacyCache.get(dosenId);
+  }
+
+  const version = dosenPrivacyCacheVersion;
+  const profile = await getOne('SELECT privacy_level FROM dosen WHERE user_id = ?', [dosenId]);
+  const privacyLevel = profile ? profile.privacy_level : 'exact';
+  if (version === dosenPrivacyCacheVersion) {
+    dosenPrivacyCache.set(dosenId, privacyLevel);
+  }
+  return privacyLevel;
+};
+
+/**
+ * Drop a dosen's cached privacy level so the next update reads it again
+ * Call after changing dosen.privacy_level
+ * @param {string} dosenId - Dosen user ID
+ */
+const reloadDosenPrivacyLevel = (dosenId) => {
+  dosenPrivacyCache.delete(dosenId);
+  dosenPrivacyCacheVersion++;
+};
+
+module.exports = {
+  PRIVACY_LEVELS,
+  DEFAULT_MASKED_LOCATION,
+  getStricterPrivacyLevel,
+  getMaskedLocation,
+  setMaskedLocation,
+  getDosenPrivacyLevel,
+  reloadDosenPrivacyLevel
+};
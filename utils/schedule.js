@@ -0,0 +1,129 @@
+// Timezone of geofence schedules and holiday dates
+const GEOFENCE_TIMEZONE = process.env.GEOFENCE_TIMEZONE || 'Asia/Jakarta';
+
+// Maximum time windows in one geofence schedule
+const MAX_SCHEDULE_WINDOWS = 20;
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const localTimeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: GEOFENCE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - Time in HH:MM (24:00 allowed as end of day)
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD
+ * @param {*} date - Value to check
+ * @returns {boolean} Whether the date is valid
+ */
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Validate and normalize a geofence schedule
+ * A schedule lists weekday time windows ({ days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM' })
+ * in GEOFENCE_TIMEZONE. Windows cannot cross midnight; split them into two instead.
+ * @param {Array|null} schedule - Schedule from the request body (null = always active)
+ * @returns {Object} { schedule } or { error }
+ */
+const normalizeSchedule = (schedule) => {
+  if (schedule === null) {
+    return { schedule: null };
+  }
+
+  if (!Array.isArray(schedule) || schedule.length === 0 || schedule.length > MAX_SCHEDULE_WINDOWS) {
+    return { error: `schedule must be null or a list of 1 to ${MAX_SCHEDULE_WINDOWS} time windows` };
+  }
+
+  const windows = [];
+  for (const window of schedule) {
+    const days = window ? window.days : undefined;
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'schedule days must list weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+
+    const { start, end } = window;
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || toMinutes(start) >= toMinutes(end)) {
+      return { error: 'schedule start and end must be HH:MM times with start before end' };
+    }
+
+    windows.push({ days: [...new Set(days)].sort((a, b) => a - b), start, end });
+  }
+
+  return { schedule: windows };
+};
+
+/**
+ * Get the date, weekday and time of day in GEOFENCE_TIMEZONE
+ * @param {Date} [date] - Moment to convert (default now)
+ * @returns {Object} { date: 'YYYY-MM-DD', day: 0-6 (0 = Sunday), minutes: since midnight }
+ */
+const getLocalTime = (date = new Date()) => {
+  const parts = {};
+  for (const part of localTimeFormat.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+/**
+ * Check whether a schedule is active at a local time
+ * Scheduled zones are inactive all day on holidays; zones without a schedule are always active.
+ * @param {Array|null} schedule - Normalized schedule
+ * @param {Object} localTime - Result of getLocalTime
+ * @param {Set<string>} holidayDates - Holiday dates (YYYY-MM-DD)
+ * @returns {boolean} Whether the schedule is active
+ */
+const isScheduleActive = (schedule, localTime, holidayDates) => {
+  if (!schedule) {
+    return true;
+  }
+
+  if (holidayDates.has(localTime.date)) {
+    return false;
+  }
+
+  return schedule.some(window =>
+    window.days.includes(localTime.day) &&
+    localTime.minutes >= toMinutes(window.start) &&
+    localTime.minutes < toMinutes(window.end)
+  );
+};
+
+module.exports = {
+  GEOFENCE_TIMEZONE,
+  isValidDate,
+  normalizeSchedule,
+  getLocalTime,
+  isScheduleActive
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { runQuery, getOne, getAll, generateUUID } = require('../config/db');
+const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/jwt');
+
+// Refresh token lifetime in days (rotated on every use)
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+// Lifetime of the intermediate token between password and 2FA code
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
+
+// jti -> expiry (ms) of 2FA tokens already exchanged for a session
+const usedTwoFactorTokens = new Map();
+
+/**
+ * Hash a refresh token for storage (only hashes are kept in the database)
+ * @param {string} token - Plain refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Generate a new opaque refresh token
+ * @returns {string} Random URL-safe token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * The token version lets role changes/deletions invalidate already issued tokens
+ * @param {Object} user - User info ({ id, role, name, tokenVersion })
+ * @param {string} sessionId - Session ID the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  const tokenPayload = {
+    id: user.id,
+    role: user.role,
+    name: user.name,
+    sid: sessionId,
+    ver: user.tokenVersion || 0
+  };
+
+  return jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+};
+
+/**
+ * Sign the intermediate token returned after a correct password when 2FA is enabled
+ * It has no session, so it is rejected everywhere except /auth/2fa/verify
+ * @param {string} userId - User ID
+ * @returns {string} Signed JWT
+ */
+const signTwoFactorToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+    jwtid: generateUUID()
+  });
+};
+
+/**
+ * Verify an intermediate 2FA token
+ * @param {string} token - Token from the first login step
+ * @returns {Object|null} { userId, jti, expiresAt }, or null if invalid/expired/already used
+ */
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== '2fa' || !decoded.jti || usedTwoFactorTokens.has(decoded.jti)) {
+      return null;
+    }
+
+    return { userId: decoded.id, jti: decoded.jti, expiresAt: decoded.exp * 1000 };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mark a verified 2FA token as used so it cannot be exchanged again
+ * Used jtis are kept in memory until the token would have expired anyway
+ * @param {Object} twoFactorToken - Result of verifyTwoFactorToken
+ * @returns {boolean} False if the token was already claimed
+ */
+const claimTwoFactorToken = ({ jti, expiresAt }) => {
+  const now = Date.now();
+  for (const [usedJti, usedExpiresAt] of usedTwoFactorTokens) {
+    if (usedExpiresAt <= now) {
+      usedTwoFactorTokens.delete(usedJti);
+    }
+  }
+
+  if (usedTwoFactorTokens.has(jti)) {
+    return false;
+  }
+
+  usedTwoFactorTokens.set(jti, expiresAt);
+  return true;
+};
+
+/**
+ * Create a new login session and issue its first refresh token
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client info ({ userAgent, ipAddress })
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+const createSession = async (userId, meta = {}) => {
+  const sessionId = generateUUID();
+  const refreshToken = generateRefreshToken();
+
+  await runQuery(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+    [
+      sessionId,
+      userId,
+      hashToken(refreshToken),
+      meta.userAgent || null,
+      meta.ipAddress || null,
+      `+${REFRESH_TOKEN_EXPIRES_DAYS} days`
+    ]
+  );
+
+  return { sessionId, refreshToken };
+};
+
+/**
+ * Rotate a refresh token: the presented token is invalidated and a new one issued.
+ * Presenting an already-rotated token revokes the whole session (token theft).
+ * @param {string} refreshToken - Plain refresh token presented by the client
+ * @param {Object} meta - Client info ({ userAgent, ipAddress })
+ * @returns {Promise<Object|null>} { session, refreshToken } or null if invalid
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await getOne(
+    `SELECT id, user_id FROM sessions
+     WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [tokenHash]
+  );
+
+  if (!session) {
+    // Reuse of a rotated token means it leaked - kill the session it belonged to
+    const reused = await getOne(
+      'SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+      [tokenHash]
+    );
+
+    if (reused) {
+      await revokeSession(reused.id);
+      console.warn(`Refresh token reuse detected, session ${reused.id} revoked`);
+    }
+
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only the request that still sees the presented token may rotate it
+  const result = await runQuery(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, previous_token_hash = ?, ip_address = COALESCE(?, ip_address),
+         user_agent = COALESCE(?, user_agent), last_seen_at = CURRENT_TIMESTAMP,
+         expires_at = datetime('now', ?)
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      hashToken(newRefreshToken),
+      tokenHash,
+      meta.ipAddress || null,
+      meta.userAgent || null,
+      `+${REFRESH_TOKEN_EXPIRES_DAYS} days`,
+      session.id,
+      tokenHash
+    ]
+  );
+
+  // A concurrent refresh rotated the same token first - treat it as reuse
+  if (result.changes === 0) {
+    await revokeSession(session.id);
+    console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+    return null;
+  }
+
+  return { session, refreshToken: newRefreshToken };
+};
+
+/**
+ * Check whether a session is still active (exists, not revoked, not expired)
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>} Whether the session may still be used
+ */
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await getOne(
+    `SELECT id FROM sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [sessionId]
+  );
+
+  return !!session;
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID to revoke
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+const revokeSession = async (sessionId) => {
+  const result = await runQuery(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Revoke every active session of a user (logout everywhere)
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} IDs of the sessions that were revoked
+ */
+const revokeAllSessions = async (userId) => {
+  const sessions = await getAll(
+    'SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  await runQuery(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return sessions.map(session => session.id);
+};
+
+/**
+ * Get active sessions (logged-in devices) of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Session rows, most recently seen first
+ */
+const getActiveSessions = async (userId) => {
+  return getAll(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+};
+
+/**
+ * Invalidate every access token already issued to a user (role change, deletion).
+ * Sessions stay alive: clients get a token with the current role on /auth/refresh.
+ * @param {string} userId - User ID
+ */
+const bumpTokenVersion = async (userId) => {
+  await runQuery(
+    'UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = ?',
+    [userId]
+  );
+};
+
+/**
+ * Mark a session as recently used (at most once per minute to limit writes)
+ * @param {string} sessionId - Session ID
+ */
+const touchSession = async (sessionId) => {
+  await runQuery(
+    `UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND last_seen_at < datetime('now', '-1 minute')`,
+    [sessionId]
+  );
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions,
+  touchSession,
+  bumpTokenVersion,
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  claimTwoFactorToken,
+  hashToken
+};
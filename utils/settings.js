@@ -0,0 +1,46 @@
+const { runQuery, getAll } = require('../config/db');
+
+// In-memory cache of the settings table (key -> parsed value), loaded on first use
+let settingsCache = null;
+
+/**
+ * Load all settings into the cache
+ * @returns {Promise<Map>} Settings map
+ */
+const loadSettings = async () => {
+  const rows = await getAll('SELECT key, value FROM settings');
+  settingsCache = new Map(rows.map(row => [row.key, JSON.parse(row.value)]));
+  return settingsCache;
+};
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting is not stored
+ * @returns {Promise<*>} Stored value or default
+ */
+const getSetting = async (key, defaultValue = null) => {
+  const settings = settingsCache || await loadSettings();
+  return settings.has(key) ? settings.get(key) : defaultValue;
+};
+
+/**
+ * Store a setting value (JSON-serializable) and update the cache
+ * @param {string} key - Setting key
+ * @param {*} value - Value to store
+ */
+const setSetting = async (key, value) => {
+  await runQuery(
+    `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, JSON.stringify(value)]
+  );
+
+  const settings = settingsCache || await loadSettings();
+  settings.set(key, value);
+};
+
+module.exports = {
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,82 @@
+// Grid cell size in degrees (~1.1 km of latitude), small enough that a cell
+// usually holds only the fences of one building
+const DEFAULT_CELL_SIZE = 0.01;
+
+// Items spanning more cells than this are kept in a list checked for every point
+// instead of being copied into each cell (e.g. very large campus fences)
+const MAX_CELLS_PER_ITEM = 4096;
+
+/**
+ * Get the grid cell key of a coordinate
+ * @param {number} row - Cell row (latitude / cell size, floored)
+ * @param {number} col - Cell column (longitude / cell size, floored)
+ * @returns {string} Cell key
+ */
+const cellKey = (row, col) => `${row}:${col}`;
+
+/**
+ * Build a uniform grid index over bounding boxes
+ * @param {Object[]} entries - [{ bounds: { minLat, maxLat, minLon, maxLon }, item }]
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} Grid index for queryGridIndex
+ */
+const createGridIndex = (entries, cellSize = DEFAULT_CELL_SIZE) => {
+  const cells = new Map();
+  const oversized = [];
+
+  for (const { bounds, item } of entries) {
+    const minRow = Math.floor(bounds.minLat / cellSize);
+    const maxRow = Math.floor(bounds.maxLat / cellSize);
+    const minCol = Math.floor(bounds.minLon / cellSize);
+    const maxCol = Math.floor(bounds.maxLon / cellSize);
+
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > MAX_CELLS_PER_ITEM) {
+      oversized.push({ bounds, item });
+      continue;
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = cellKey(row, col);
+        if (!cells.has(key)) {
+          cells.set(key, []);
+        }
+        cells.get(key).push({ bounds, item });
+      }
+    }
+  }
+
+  return { cellSize, cells, oversized };
+};
+
+/**
+ * Check whether a point lies within a bounding box
+ * @param {Object} bounds - { minLat, maxLat, minLon, maxLon }
+ * @param {number} lat - Latitude
+ * @param {number} long - Longitude
+ * @returns {boolean} Whether the point is inside the box
+ */
+const isInBounds = (bounds, lat, long) => {
+  return lat >= bounds.minLat && lat <= bounds.maxLat && long >= bounds.minLon && long <= bounds.maxLon;
+};
+
+/**
+ * Get the items whose bounding box contains a point
+ * @param {Object} index - Result of createGridIndex
+ * @param {number} lat - Latitude
+ * @param {number} long - Longitude
+ * @returns {Array} Candidate items (exact shape checks are up to the caller)
+ */
+const queryGridIndex = (index, lat, long) => {
+  const key = cellKey(Math.floor(lat / index.cellSize), Math.floor(long / index.cellSize));
+  const entries = index.cells.get(key) || [];
+
+  return [...entries, ...index.oversized]
+    .filter(entry => isInBounds(entry.bounds, lat, long))
+    .map(entry => entry.item);
+};
+
+module.exports = {
+  createGridIndex,
+  queryGridIndex
+};
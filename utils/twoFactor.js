@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { runQuery, getOne, generateUUID } = require('../config/db');
+const { getSetting } = require('./settings');
+
+// Issuer shown in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'MyDosen';
+
+// Number of one-time recovery codes issued on enrollment
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept codes from the previous/next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * Hash a recovery code for storage (case/format insensitive)
+ * @param {string} code - Plain recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a new TOTP secret with its enrollment data
+ * @param {string} accountName - Label shown in the authenticator app (email)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+ */
+const createEnrollment = async (accountName) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(accountName, TWO_FACTOR_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Verify a 6-digit TOTP code and mark its time-step as used
+ * A code is accepted once: codes from the same or an earlier step are rejected afterwards
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {Promise<boolean>} Whether the code is valid and was not used before
+ */
+const useTotpCode = async (userId, code, secret) => {
+  if (!code || !secret) {
+    return false;
+  }
+
+  let delta = null;
+  try {
+    delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  } catch (error) {
+    return false;
+  }
+
+  if (delta === null) {
+    return false;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  const result = await runQuery(
+    `UPDATE users SET totp_last_step = ?
+     WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+    [step, userId, step]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Plain recovery codes (shown to the user once)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  await runQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+
+    await runQuery(
+      'INSERT INTO two_factor_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+      [generateUUID(), userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Consume a recovery code
+ * @param {string} userId - User ID
+ * @param {string} code - Plain recovery code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+const useRecoveryCode = async (userId, code) => {
+  if (!code) {
+    return false;
+  }
+
+  const result = await runQuery(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashRecoveryCode(code)]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Count unused recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Remaining recovery codes
+ */
+const countRecoveryCodes = async (userId) => {
+  const row = await getOne(
+    'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return row ? row.count : 0;
+};
+
+/**
+ * Check whether admins made 2FA mandatory for a role
+ * @param {string} role - 'admin', 'dosen' or 'mahasiswa'
+ * @returns {Promise<boolean>} Whether users with this role must use 2FA
+ */
+const isTwoFactorRequired = async (role) => {
+  const requiredRoles = await getSetting('two_factor_required_roles', []);
+  return requiredRoles.includes(role);
+};
+
+module.exports = {
+  createEnrollment,
+  useTotpCode,
+  regenerateRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  isTwoFactorRequired
+};